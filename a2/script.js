@@ -4,393 +4,4657 @@ this script provides complete media player functionality with focus on
 user experience and accessibility.
 */
 
-class RelaxationMusicPlayer {
+/*
+state persistence:
+player, timer and todo state is kept in localStorage under one versioned
+record so an accidental reload doesn't wipe the task list or the focus
+session. every record carries a schema version; older records are upgraded
+step by step through the migrations table, and anything unreadable is set
+aside under a backup key so the player can start clean instead of failing.
+*/
+const REPEAT_MODES = ['off', 'all', 'one'];
+const MAX_HISTORY = 100;
+
+/*
+transitions:
+two audio elements ("decks") feed a Web Audio graph, each through its own
+gain node and then a shared master gain driven by the volume slider. the
+next track is buffered on the idle deck ahead of time so it can either
+fade in over the outgoing one or start the moment the current one ends.
+*/
+const MAX_CROSSFADE = 12; // seconds
+const PRELOAD_AHEAD = 15; // seconds before the end of a track
+const PAUSE_FADE = 0.4; // seconds
+// a playing deck that stays starved of data this long counts as a failed track
+const STALL_TIMEOUT = 15000; // milliseconds
+
+/*
+in-track navigation:
+playback speed applies to every track; A-B loops and bookmarks belong to
+one track, kept under its catalog key (the src of bundled and remote
+tracks, a stable id for imported ones whose blob urls change each visit).
+*/
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+const MIN_LOOP_LENGTH = 1; // seconds between A and B
+
+/*
+sleep timer:
+separate from the focus timer; it ends playback after a number of minutes
+or tracks. the output is scaled down over the last minute without moving
+the volume slider, so the next listen starts at the usual level.
+*/
+const SLEEP_FADE = 60; // seconds
+const SLEEP_EXTEND = 5; // minutes added per tap on the countdown
+
+/*
+imported tracks:
+local audio files are kept in IndexedDB together with the tags read from
+them, so a personal library survives reloads. the tag reader only looks at
+the start of each file: ID3v2 for mp3, Vorbis comments for ogg / opus /
+flac, plus FLAC's picture and stream info blocks.
+*/
+const LIBRARY_DB = 'serenity-library';
+const LIBRARY_STORE = 'tracks';
+const TAG_READ_LIMIT = 4 * 1024 * 1024; // bytes scanned when there is no ID3 header
+const AUDIO_EXTENSIONS = /\.(mp3|ogg|oga|opus|flac|m4a|aac|wav|webm)$/i;
+
+/*
+offline:
+sw.js precaches the page itself and caches tracks from music/ as they are
+played. the page reads the same music cache to show what is saved, and
+fills it when a whole playlist is downloaded. imported tracks already live
+in IndexedDB, so they count as saved.
+*/
+const MUSIC_CACHE = 'serenity-music-v1'; // must match sw.js
+const MUSIC_PATH = 'music/';
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class TrackLibrary {
+    constructor(enabled = true) {
+        this.enabled = enabled;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.enabled) {
+                    reject(new Error('track library disabled'));
+                    return;
+                }
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB unavailable'));
+                    return;
+                }
+                const request = indexedDB.open(LIBRARY_DB, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async store(mode) {
+        const db = await this.open();
+        return db.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE);
+    }
+
+    async getAll() {
+        const records = await idbRequest((await this.store('readonly')).getAll());
+        return records.sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    async put(record) {
+        return idbRequest((await this.store('readwrite')).put(record));
+    }
+
+    async delete(id) {
+        return idbRequest((await this.store('readwrite')).delete(id));
+    }
+}
+
+function isAudioFile(file) {
+    return file.type.startsWith('audio/') || AUDIO_EXTENSIONS.test(file.name);
+}
+
+function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function readAudioTags(file) {
+    const head = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+    const isId3 = readAscii(head, 0, 3) === 'ID3';
+    const length = isId3 ? 10 + readSyncsafe(head, 6) : TAG_READ_LIMIT;
+    const bytes = new Uint8Array(await file.slice(0, Math.min(length, file.size)).arrayBuffer());
+    try {
+        if (isId3) return parseId3(bytes);
+        if (readAscii(bytes, 0, 4) === 'fLaC') return parseFlac(bytes);
+        if (readAscii(bytes, 0, 4) === 'OggS') return parseOgg(bytes);
+    } catch (e) {
+        // malformed tags: fall back to the file name
+        console.log('Could not read tags of', file.name);
+    }
+    return {};
+}
+
+// the browser's own idea of the length, for files without a length tag
+function probeDuration(blob) {
+    return new Promise(resolve => {
+        const audio = new Audio();
+        const url = URL.createObjectURL(blob);
+        const done = (duration) => {
+            clearTimeout(timeout);
+            URL.revokeObjectURL(url);
+            resolve(Number.isFinite(duration) ? duration : null);
+        };
+        const timeout = setTimeout(() => done(null), 5000);
+        audio.preload = 'metadata';
+        audio.addEventListener('loadedmetadata', () => done(audio.duration));
+        audio.addEventListener('error', () => done(null));
+        audio.src = url;
+    });
+}
+
+function readAscii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readSyncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+// ID3 text encodings: 0 latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+function decodeId3String(bytes, encoding) {
+    let label = ['iso-8859-1', 'utf-16le', 'utf-16be', 'utf-8'][encoding] || 'iso-8859-1';
+    if (encoding === 1 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+        label = 'utf-16be';
+    }
+    return new TextDecoder(label).decode(bytes).replace(/^\ufeff/, '');
+}
+
+function findTerminator(bytes, start, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+        if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+    }
+    return bytes.length;
+}
+
+// text frames may hold several null-separated values, the first one is used
+function decodeId3Text(frame) {
+    const encoding = frame[0];
+    return decodeId3String(frame.subarray(1, findTerminator(frame, 1, encoding)), encoding).trim();
+}
+
+function parseId3(bytes) {
+    const version = bytes[3];
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    const tags = {};
+    let offset = 10;
+    if (version > 2 && bytes[5] & 0x40) {
+        // skip the extended header
+        offset += version === 4 ? readSyncsafe(bytes, 10) : readUint32(bytes, 10) + 4;
+    }
+
+    while (offset + headerLength <= bytes.length) {
+        const id = readAscii(bytes, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // reached the padding
+        let size;
+        if (version === 2) {
+            size = (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5];
+        } else if (version === 4) {
+            size = readSyncsafe(bytes, offset + 4);
+        } else {
+            size = readUint32(bytes, offset + 4);
+        }
+        const frame = bytes.subarray(offset + headerLength, offset + headerLength + size);
+
+        if ((id === 'TIT2' || id === 'TT2') && !tags.title) {
+            tags.title = decodeId3Text(frame);
+        } else if ((id === 'TPE1' || id === 'TP1') && !tags.artist) {
+            tags.artist = decodeId3Text(frame);
+        } else if (id === 'TLEN' || id === 'TLE') {
+            const milliseconds = parseInt(decodeId3Text(frame), 10);
+            if (milliseconds > 0) tags.duration = milliseconds / 1000;
+        } else if (id === 'APIC' || id === 'PIC') {
+            const picture = parseId3Picture(frame, id === 'PIC');
+            // prefer the front cover (type 3) over any other picture
+            if (picture && (!tags.cover || picture.type === 3)) {
+                tags.cover = picture.blob;
+            }
+        }
+        offset += headerLength + size;
+    }
+    return tags;
+}
+
+function parseId3Picture(frame, isLegacy) {
+    const encoding = frame[0];
+    let mime;
+    let offset;
+    if (isLegacy) {
+        // ID3v2.2 stores a three letter image format instead of a MIME type
+        mime = `image/${readAscii(frame, 1, 3).toLowerCase().replace('jpg', 'jpeg')}`;
+        offset = 4;
+    } else {
+        const mimeEnd = findTerminator(frame, 1, 0);
+        mime = readAscii(frame, 1, mimeEnd - 1) || 'image/jpeg';
+        offset = mimeEnd + 1;
+    }
+    const type = frame[offset];
+    const descriptionEnd = findTerminator(frame, offset + 1, encoding);
+    const dataStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+    if (dataStart >= frame.length) return null;
+    return { type, blob: new Blob([frame.slice(dataStart)], { type: mime }) };
+}
+
+function parseFlac(bytes) {
+    const tags = {};
+    let offset = 4;
+    let isLast = false;
+    while (!isLast && offset + 4 <= bytes.length) {
+        isLast = (bytes[offset] & 0x80) !== 0;
+        const type = bytes[offset] & 0x7f;
+        const size = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const block = bytes.subarray(offset + 4, offset + 4 + size);
+
+        if (type === 0 && block.length >= 18) {
+            // STREAMINFO: 20-bit sample rate and 36-bit sample count
+            const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+            const totalSamples = (block[13] & 0x0f) * 2 ** 32 + readUint32(block, 14);
+            if (sampleRate > 0 && totalSamples > 0) {
+                tags.duration = totalSamples / sampleRate;
+            }
+        } else if (type === 4) {
+            const comments = parseVorbisComments(block);
+            tags.title = comments.title;
+            tags.artist = comments.artist;
+            tags.cover = tags.cover || comments.cover;
+        } else if (type === 6) {
+            tags.cover = parseFlacPicture(block) || tags.cover;
+        }
+        offset += 4 + size;
+    }
+    return tags;
+}
+
+function parseOgg(bytes) {
+    // join the packet data of the first pages, leaving out the page headers
+    const chunks = [];
+    let offset = 0;
+    while (offset + 27 <= bytes.length && readAscii(bytes, offset, 4) === 'OggS') {
+        const segments = bytes[offset + 26];
+        let size = 0;
+        for (let i = 0; i < segments; i++) {
+            size += bytes[offset + 27 + i];
+        }
+        const start = offset + 27 + segments;
+        chunks.push(bytes.subarray(start, start + size));
+        offset = start + size;
+    }
+    const data = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    chunks.reduce((position, chunk) => {
+        data.set(chunk, position);
+        return position + chunk.length;
+    }, 0);
+
+    // the comment header of Vorbis ("\x03vorbis") or Opus ("OpusTags")
+    const text = new TextDecoder('iso-8859-1').decode(data);
+    const vorbis = text.indexOf('\x03vorbis');
+    if (vorbis !== -1) return parseVorbisComments(data.subarray(vorbis + 7));
+    const opus = text.indexOf('OpusTags');
+    if (opus !== -1) return parseVorbisComments(data.subarray(opus + 8));
+    return {};
+}
+
+function parseVorbisComments(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const utf8 = new TextDecoder('utf-8');
+    const tags = {};
+    let offset = 4 + view.getUint32(0, true); // skip the vendor string
+    const count = view.getUint32(offset, true);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = view.getUint32(offset, true);
+        const comment = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+
+        const separator = comment.indexOf('=');
+        const key = comment.slice(0, separator).toUpperCase();
+        const value = comment.slice(separator + 1);
+        if (key === 'TITLE' && !tags.title) {
+            tags.title = value;
+        } else if (key === 'ARTIST' && !tags.artist) {
+            tags.artist = value;
+        } else if (key === 'METADATA_BLOCK_PICTURE' && !tags.cover) {
+            const binary = atob(value);
+            const block = new Uint8Array(binary.length);
+            for (let j = 0; j < binary.length; j++) {
+                block[j] = binary.charCodeAt(j);
+            }
+            tags.cover = parseFlacPicture(block);
+        }
+    }
+    return tags;
+}
+
+// FLAC picture block, also used base64-encoded inside Vorbis comments
+function parseFlacPicture(block) {
+    let offset = 4; // picture type
+    const mimeLength = readUint32(block, offset);
+    const mime = readAscii(block, offset + 4, mimeLength);
+    offset += 4 + mimeLength;
+    offset += 4 + readUint32(block, offset); // description
+    offset += 16; // width, height, color depth, palette size
+    const dataLength = readUint32(block, offset);
+    const data = block.slice(offset + 4, offset + 4 + dataLength);
+    return data.length > 0 ? new Blob([data], { type: mime || 'image/jpeg' }) : null;
+}
+
+/*
+playlist files:
+playlists are shared as extended M3U (#EXTINF lines carry length and
+"artist - title") or as a small JSON document. entries are matched back to
+known tracks by location, file name or title when they are imported.
+*/
+const PLAYLIST_FORMAT = 'serenity-playlist';
+
+function parseM3u(text) {
+    const entries = [];
+    let name = '';
+    let info = null;
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (line.startsWith('#EXTINF:')) {
+            const [duration, ...label] = line.slice(8).split(',');
+            const display = label.join(',').trim();
+            const separator = display.indexOf(' - ');
+            info = {
+                duration: parseFloat(duration) > 0 ? parseFloat(duration) : null,
+                artist: separator === -1 ? '' : display.slice(0, separator),
+                title: separator === -1 ? display : display.slice(separator + 3)
+            };
+        } else if (line.startsWith('#PLAYLIST:')) {
+            name = line.slice(10).trim();
+        } else if (line && !line.startsWith('#')) {
+            entries.push({ title: '', artist: '', duration: null, ...info, location: line });
+            info = null;
+        }
+    });
+    return { name, entries };
+}
+
+function parsePlaylistJson(text) {
+    const data = JSON.parse(text);
+    if (!data || data.format !== PLAYLIST_FORMAT || !Array.isArray(data.tracks)) {
+        throw new Error('not a playlist export');
+    }
+    return {
+        name: typeof data.name === 'string' ? data.name : '',
+        entries: data.tracks.filter(track => track && typeof track === 'object').map(track => ({
+            title: typeof track.title === 'string' ? track.title : '',
+            artist: typeof track.artist === 'string' ? track.artist : '',
+            duration: Number.isFinite(track.duration) ? track.duration : null,
+            location: typeof track.location === 'string' ? track.location : ''
+        }))
+    };
+}
+
+// "music/Queen's%20Garden.mp3" -> "Queen's Garden"
+function titleFromLocation(location) {
+    const name = location.split(/[\\/]/).pop().split(/[?#]/)[0];
+    try {
+        return decodeURIComponent(name).replace(/\.[^.]+$/, '');
+    } catch (e) {
+        return name.replace(/\.[^.]+$/, '');
+    }
+}
+
+function fileNameOf(location) {
+    const name = location.split(/[\\/]/).pop().split(/[?#]/)[0];
+    try {
+        return decodeURIComponent(name).toLowerCase();
+    } catch (e) {
+        return name.toLowerCase();
+    }
+}
+
+function downloadText(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/*
+ambient layers:
+every layer is rendered once into a looping buffer with plain math, so
+nothing is downloaded. level scales each layer so the same slider value
+sounds roughly as loud across layers.
+*/
+const AMBIENT_LAYERS = {
+    white: { label: 'White noise', seconds: 4, level: 0.25 },
+    pink: { label: 'Pink noise', seconds: 4, level: 0.4 },
+    brown: { label: 'Brown noise', seconds: 4, level: 0.6 },
+    rain: { label: 'Rain', seconds: 12, level: 0.5 },
+    fire: { label: 'Fireplace', seconds: 12, level: 0.7 }
+};
+
+const NOISE_GENERATORS = {
+    white(data) {
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    },
+
+    // Paul Kellet's refined filter: -3 dB per octave
+    pink(data) {
+        let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+        for (let i = 0; i < data.length; i++) {
+            const white = Math.random() * 2 - 1;
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.96900 * b2 + white * 0.1538520;
+            b3 = 0.86650 * b3 + white * 0.3104856;
+            b4 = 0.55000 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.0168980;
+            data[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+            b6 = white * 0.115926;
+        }
+    },
+
+    // leaky integration of white noise: -6 dB per octave
+    brown(data) {
+        let last = 0;
+        for (let i = 0; i < data.length; i++) {
+            last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+            data[i] = last;
+        }
+    },
+
+    // soft pink hiss with scattered droplet ticks on top
+    rain(data, sampleRate) {
+        NOISE_GENERATORS.pink(data);
+        normalizeSamples(data, 0.35);
+        const drops = Math.floor(data.length / sampleRate * 40);
+        for (let d = 0; d < drops; d++) {
+            addBurst(data, Math.floor(Math.random() * data.length),
+                Math.floor(sampleRate * (0.002 + Math.random() * 0.008)), 0.1 + Math.random() * 0.4);
+        }
+    },
+
+    // low brown rumble with sparse, sharp crackles, sometimes in small clusters
+    fire(data, sampleRate) {
+        NOISE_GENERATORS.brown(data);
+        normalizeSamples(data, 0.5);
+        const crackles = Math.floor(data.length / sampleRate * 5);
+        for (let c = 0; c < crackles; c++) {
+            let start = Math.floor(Math.random() * data.length);
+            const pops = 1 + Math.floor(Math.random() * 3);
+            for (let p = 0; p < pops; p++) {
+                addBurst(data, start, Math.floor(sampleRate * (0.001 + Math.random() * 0.006)),
+                    0.3 + Math.random() * 0.7);
+                start += Math.floor(sampleRate * (0.01 + Math.random() * 0.05));
+            }
+        }
+    }
+};
+
+function normalizeSamples(data, peak) {
+    let max = 0;
+    for (let i = 0; i < data.length; i++) {
+        max = Math.max(max, Math.abs(data[i]));
+    }
+    if (max === 0) return;
+    for (let i = 0; i < data.length; i++) {
+        data[i] = data[i] / max * peak;
+    }
+}
+
+// a short noise burst with an exponential decay
+function addBurst(data, start, length, amplitude) {
+    for (let i = 0; i < length && start + i < data.length; i++) {
+        data[start + i] += (Math.random() * 2 - 1) * amplitude * Math.exp(-6 * i / length);
+    }
+}
+
+class AmbientMixer {
     constructor() {
-        // core player elements initialization
-        this.audio = document.getElementById('audio-player');
-        this.playPauseBtn = document.getElementById('play-pause-btn');
-        this.prevBtn = document.getElementById('prev-btn');
-        this.nextBtn = document.getElementById('next-btn');
-        this.shuffleBtn = document.getElementById('shuffle-btn');
-        this.repeatBtn = document.getElementById('repeat-btn');
-        this.progressBar = document.getElementById('progress-bar');
-        this.progressContainer = document.getElementById('progress-container');
-        this.progressFill = document.getElementById('progress-fill');
-        this.volumeSlider = document.getElementById('volume-slider');
-        this.volumeDisplay = document.getElementById('volume-display');
-        this.currentTimeSpan = document.getElementById('current-time');
-        this.totalTimeSpan = document.getElementById('total-time');
-        this.trackTitle = document.getElementById('track-title');
-        this.trackList = document.getElementById('track-list');
+        this.context = null;
+        this.output = null;
+        this.buffers = {};
+        this.nodes = {};
+        this.layers = {};
+        Object.keys(AMBIENT_LAYERS).forEach(name => {
+            this.layers[name] = { enabled: false, volume: 50 };
+        });
+        // scales every layer at once, for the sleep timer's fade
+        this.fade = 1;
+    }
+
+    // layers switched on before the audio context existed start here
+    attach(context) {
+        if (this.context) return;
+        this.context = context;
+        this.output = context.createGain();
+        this.output.gain.value = this.fade;
+        this.output.connect(context.destination);
+        Object.keys(this.layers).forEach(name => this.update(name));
+    }
+
+    setFade(level) {
+        this.fade = level;
+        if (this.output) this.output.gain.setTargetAtTime(level, this.context.currentTime, 0.02);
+    }
+
+    setLayer(name, changes) {
+        Object.assign(this.layers[name], changes);
+        this.update(name);
+    }
+
+    update(name) {
+        if (!this.context) return;
+        const layer = this.layers[name];
+        const node = this.nodes[name];
+        const gain = AMBIENT_LAYERS[name].level * layer.volume / 100;
+        const now = this.context.currentTime;
+
+        if (layer.enabled && !node) {
+            this.start(name, gain);
+        } else if (!layer.enabled && node) {
+            // short fade so switching a layer off doesn't click
+            node.gain.gain.setTargetAtTime(0, now, 0.1);
+            node.source.stop(now + 0.5);
+            delete this.nodes[name];
+        } else if (node) {
+            node.gain.gain.setTargetAtTime(gain, now, 0.05);
+        }
+    }
+
+    start(name, gain) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.getBuffer(name);
+        source.loop = true;
+        const gainNode = this.context.createGain();
+        gainNode.gain.setValueAtTime(0, this.context.currentTime);
+        gainNode.gain.setTargetAtTime(gain, this.context.currentTime, 0.3);
+        source.connect(gainNode);
+        gainNode.connect(this.output);
+        source.start();
+        this.nodes[name] = { source, gain: gainNode };
+    }
+
+    /*
+    the buffer is rendered half a second longer than it plays, and that
+    tail is blended into the start so the loop point has no audible seam.
+    */
+    getBuffer(name) {
+        if (this.buffers[name]) return this.buffers[name];
+
+        const rate = this.context.sampleRate;
+        const length = Math.floor(rate * AMBIENT_LAYERS[name].seconds);
+        const fade = Math.floor(rate * 0.5);
+        const samples = new Float32Array(length + fade);
+        NOISE_GENERATORS[name](samples, rate);
+        normalizeSamples(samples, 0.9);
+
+        const buffer = this.context.createBuffer(1, length, rate);
+        const channel = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            if (i < fade) {
+                const t = i / fade;
+                channel[i] = samples[i] * t + samples[length + i] * (1 - t);
+            } else {
+                channel[i] = samples[i];
+            }
+        }
+        this.buffers[name] = buffer;
+        return buffer;
+    }
+}
+
+/*
+visualizer:
+an AnalyserNode taps the music after the master gain; it isn't connected
+onwards, so it changes nothing audible. drawing is meant to stay calm:
+heavy smoothing, and silence or reduced motion drop the frame rate.
+*/
+const VISUALIZER_MODES = ['off', 'bars', 'ring', 'breathe'];
+const VISUALIZER_BARS = 48;
+const VISUALIZER_IDLE_INTERVAL = 250; // ms between frames while nothing is playing
+const VISUALIZER_REDUCED_INTERVAL = 500; // ms between frames with prefers-reduced-motion
+
+class AudioVisualizer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context2d = null;
+        this.analyser = null;
+        this.mode = 'off';
+        this.frame = null;
+        this.lastDraw = 0;
+        this.level = 0;
+        this.colors = null;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.draw = this.draw.bind(this);
+    }
+
+    attach(context, source) {
+        if (this.analyser) return;
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.analyser.smoothingTimeConstant = 0.85;
+        source.connect(this.analyser);
+        this.frequencies = new Uint8Array(this.analyser.frequencyBinCount);
+        this.waveform = new Uint8Array(this.analyser.fftSize);
+        this.start();
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.canvas.hidden = mode === 'off';
+        if (mode === 'off') {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        if (this.frame || !this.analyser || this.mode === 'off' || document.hidden) return;
+        this.context2d = this.context2d || this.canvas.getContext('2d');
+        if (!this.context2d) return;
+        this.refreshColors();
+        this.frame = requestAnimationFrame(this.draw);
+    }
+
+    stop() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    // read from the page's custom properties, so the drawing follows the theme
+    refreshColors() {
+        const style = getComputedStyle(document.documentElement);
+        const read = (name) => style.getPropertyValue(name).trim();
+        this.colors = {
+            bar: read('--muted-green'),
+            line: read('--primary-earth'),
+            glow: read('--warm-beige'),
+            base: read('--soft-cream')
+        };
+    }
+
+    draw(time) {
+        this.frame = requestAnimationFrame(this.draw);
+        this.analyser.getByteTimeDomainData(this.waveform);
+        let sum = 0;
+        this.waveform.forEach(sample => {
+            const value = (sample - 128) / 128;
+            sum += value * value;
+        });
+        const loudness = Math.sqrt(sum / this.waveform.length);
+
+        const interval = this.reducedMotion.matches ? VISUALIZER_REDUCED_INTERVAL :
+            loudness < 0.005 ? VISUALIZER_IDLE_INTERVAL : 0;
+        const elapsed = time - this.lastDraw;
+        if (elapsed < interval) return;
+        this.lastDraw = time;
+
+        this.resize();
+        const { width, height } = this.canvas;
+        this.context2d.clearRect(0, 0, width, height);
+        this.context2d.globalAlpha = 1;
+        if (this.mode === 'bars') {
+            this.drawBars(width, height);
+        } else if (this.mode === 'ring') {
+            this.drawRing(width, height);
+        } else {
+            this.drawBreathing(width, height, loudness, elapsed);
+        }
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    drawBars(width, height) {
+        const ctx = this.context2d;
+        this.analyser.getByteFrequencyData(this.frequencies);
+        // the top of the spectrum is nearly always empty in this music
+        const lastBin = Math.floor(this.frequencies.length * 0.6);
+        const slot = width / VISUALIZER_BARS;
+        ctx.fillStyle = this.colors.bar;
+        for (let i = 0; i < VISUALIZER_BARS; i++) {
+            // log-spaced bins, so the low end isn't squeezed into the first few bars
+            const from = Math.floor(Math.pow(lastBin, i / VISUALIZER_BARS));
+            const to = Math.max(from + 1, Math.floor(Math.pow(lastBin, (i + 1) / VISUALIZER_BARS)));
+            let peak = 0;
+            for (let bin = from; bin < to; bin++) {
+                peak = Math.max(peak, this.frequencies[bin]);
+            }
+            const barHeight = Math.max(2, (peak / 255) * height * 0.9);
+            ctx.globalAlpha = 0.35 + (peak / 255) * 0.5;
+            ctx.fillRect(i * slot + slot * 0.15, height - barHeight, slot * 0.7, barHeight);
+        }
+    }
+
+    drawRing(width, height) {
+        const ctx = this.context2d;
+        const points = 128;
+        const radius = Math.min(width, height) * 0.3;
+        ctx.strokeStyle = this.colors.line;
+        ctx.lineWidth = 2 * (window.devicePixelRatio || 1);
+        ctx.globalAlpha = 0.8;
+        ctx.beginPath();
+        for (let i = 0; i < points; i++) {
+            const sample = this.waveform[Math.floor(i * this.waveform.length / points)];
+            const distance = radius + ((sample - 128) / 128) * radius * 0.5;
+            const angle = (i / points) * Math.PI * 2 - Math.PI / 2;
+            const x = width / 2 + Math.cos(angle) * distance;
+            const y = height / 2 + Math.sin(angle) * distance;
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.closePath();
+        ctx.stroke();
+    }
+
+    // a soft glow that swells and settles with the loudness, eased over time
+    drawBreathing(width, height, loudness, elapsed) {
+        const ctx = this.context2d;
+        const target = Math.min(1, loudness * 4);
+        this.level += (target - this.level) * (1 - Math.exp(-elapsed / 800));
+        const radius = Math.max(width, height) * (0.25 + this.level * 0.5);
+        const gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, radius);
+        gradient.addColorStop(0, this.colors.line);
+        gradient.addColorStop(0.5, this.colors.glow);
+        gradient.addColorStop(1, this.colors.base);
+        ctx.globalAlpha = 0.6 + this.level * 0.4;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+}
+
+/*
+pomodoro cycle:
+work sessions alternate with short breaks, and every Nth break is a long one.
+each phase can leave the music alone, pause it or start it again.
+*/
+const POMODORO_PHASES = {
+    work: { label: 'Focus' },
+    shortBreak: { label: 'Short Break' },
+    longBreak: { label: 'Long Break' }
+};
+const MUSIC_ACTIONS = ['keep', 'pause', 'resume'];
+const PHASE_PAUSE_MS = 4000; // completion message shown between phases
+
+/*
+timer sync:
+the countdown runs against an absolute end time, so throttled background
+tabs still finish on time. open tabs share timer changes over a
+BroadcastChannel; each tab completes its own countdown, and the completion
+claim below keeps the notification and chime from firing once per tab.
+*/
+const TIMER_CHANNEL = 'serenity-timer';
+const TIMER_CLAIM_KEY = 'serenity-timer-completed';
+
+/*
+keyboard shortcuts:
+a binding is its modifiers plus the KeyboardEvent.code ("Shift+KeyN"),
+so shortcuts stay on the same physical keys whatever the keyboard layout.
+*/
+const SHORTCUT_ACTIONS = {
+    playPause: { label: 'Play / pause', key: 'Space' },
+    next: { label: 'Next track', key: 'KeyN' },
+    previous: { label: 'Previous track', key: 'KeyP' },
+    // bare arrow keys are left to scroll the page
+    seekForward: { label: 'Forward 10 s', key: 'Shift+ArrowRight' },
+    seekBackward: { label: 'Back 10 s', key: 'Shift+ArrowLeft' },
+    volumeUp: { label: 'Volume up', key: 'Shift+ArrowUp' },
+    volumeDown: { label: 'Volume down', key: 'Shift+ArrowDown' },
+    mute: { label: 'Mute / unmute', key: 'KeyM' },
+    shuffle: { label: 'Shuffle', key: 'KeyS' },
+    repeat: { label: 'Repeat mode', key: 'KeyR' },
+    timer: { label: 'Start / pause timer', key: 'KeyT' },
+    help: { label: 'Show shortcuts', key: 'Shift+Slash' }
+};
+const SHORTCUT_HINT = 'Click a key to change it, then press the new key.';
+const SEEK_STEP = 10;
+const VOLUME_STEP = 5;
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Slash: '/',
+    Comma: ',',
+    Period: '.',
+    Minus: '-',
+    Equal: '='
+};
+
+function shortcutFromEvent(e) {
+    const modifiers = [['Ctrl', e.ctrlKey], ['Alt', e.altKey], ['Shift', e.shiftKey], ['Meta', e.metaKey]];
+    return [...modifiers.filter(([, held]) => held).map(([name]) => name), e.code].join('+');
+}
+
+function formatShortcut(shortcut) {
+    return shortcut.split('+')
+        .map(part => KEY_NAMES[part] || part.replace(/^(Key|Digit|Numpad)/, ''))
+        .join(' + ');
+}
+
+// tasks: priority levels in ascending order and the list filters
+const TODO_PRIORITIES = ['low', 'normal', 'high'];
+const DEFAULT_TODO_PRIORITY = 'normal';
+const TODO_FILTERS = ['all', 'active', 'completed'];
+const TODO_COUNT_LABELS = {
+    all: ['task', 'tasks'],
+    active: ['task remaining', 'tasks remaining'],
+    completed: ['task completed', 'tasks completed']
+};
+
+// finished focus sessions and task completions kept in the logs; the oldest drop off first
+const MAX_SESSION_LOG = 1000;
+const MAX_COMPLETION_LOG = 5000;
+// the longest a phase can be set to, so no logged or imported session plans more
+const MAX_SESSION_MINUTES = 180;
+const SESSION_LOG_SHOWN = 20;
+
+/*
+focus statistics:
+everything is worked out from the session log and the task completion
+log, by local calendar day with weeks starting on Monday. a session counts
+its planned length at most, so time spent paused doesn't inflate it.
+*/
+const STATS_FORMAT = 'serenity-stats';
+const STATS_DAYS = 14;
+const STATS_WEEKS = 8;
+const STATS_TOP_TRACKS = 5;
+const STATS_CSV_COLUMNS = ['record', 'task', 'started_at', 'ended_at', 'planned_minutes',
+    'actual_minutes', 'ended_early', 'tracks', 'track_keys'];
+
+function localDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function startOfWeek(date) {
+    return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function focusMinutes(session) {
+    return Math.min(session.actualMinutes, session.plannedMinutes);
+}
+
+function computeFocusStats(sessions, completions, now = new Date()) {
+    const minutesByDay = new Map();
+    const tasksByDay = new Map();
+    const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const trackPlays = new Map();
+
+    sessions.forEach(session => {
+        const minutes = focusMinutes(session);
+        const day = localDateKey(new Date(session.startedAt));
+        minutesByDay.set(day, (minutesByDay.get(day) || 0) + minutes);
+
+        // spread the session over the hours it actually covered
+        let time = session.startedAt;
+        let remaining = minutes * 60000;
+        while (remaining > 0 && time < session.endedAt) {
+            const start = new Date(time);
+            const hourEnd = new Date(start.getFullYear(), start.getMonth(), start.getDate(), start.getHours() + 1);
+            const chunk = Math.min(remaining, hourEnd - time);
+            heatmap[(start.getDay() + 6) % 7][start.getHours()] += chunk / 60000;
+            time += chunk;
+            remaining -= chunk;
+        }
+
+        session.tracks.forEach(track => {
+            const entry = trackPlays.get(track.key) || { title: track.title, plays: 0 };
+            entry.plays++;
+            trackPlays.set(track.key, entry);
+        });
+    });
+    completions.forEach(completion => {
+        const day = localDateKey(new Date(completion.completedAt));
+        tasksByDay.set(day, (tasksByDay.get(day) || 0) + 1);
+    });
+
+    const today = addDays(now, 0);
+    const daily = [];
+    for (let i = STATS_DAYS - 1; i >= 0; i--) {
+        const date = addDays(today, -i);
+        const key = localDateKey(date);
+        daily.push({ date, minutes: minutesByDay.get(key) || 0, tasks: tasksByDay.get(key) || 0 });
+    }
+    const weekly = [];
+    for (let i = STATS_WEEKS - 1; i >= 0; i--) {
+        const start = addDays(startOfWeek(today), -7 * i);
+        let minutes = 0;
+        for (let d = 0; d < 7; d++) {
+            minutes += minutesByDay.get(localDateKey(addDays(start, d))) || 0;
+        }
+        weekly.push({ date: start, minutes });
+    }
+
+    // a streak still counts today until the day is over
+    let streak = 0;
+    let day = minutesByDay.get(localDateKey(today)) ? today : addDays(today, -1);
+    while (minutesByDay.get(localDateKey(day))) {
+        streak++;
+        day = addDays(day, -1);
+    }
+    let bestStreak = 0;
+    let run = 0;
+    let previous = null;
+    Array.from(minutesByDay.keys()).filter(key => minutesByDay.get(key) > 0).sort().forEach(key => {
+        const [year, month, date] = key.split('-').map(Number);
+        const current = new Date(year, month - 1, date);
+        run = previous && localDateKey(addDays(previous, 1)) === key ? run + 1 : 1;
+        bestStreak = Math.max(bestStreak, run);
+        previous = current;
+    });
+
+    return {
+        today: minutesByDay.get(localDateKey(today)) || 0,
+        week: weekly[weekly.length - 1].minutes,
+        streak,
+        bestStreak,
+        daily,
+        weekly,
+        heatmap,
+        topTracks: Array.from(trackPlays.values()).sort((a, b) => b.plays - a.plays).slice(0, STATS_TOP_TRACKS)
+    };
+}
+
+// text that a spreadsheet would run as a formula is kept as text with a leading '
+function toCsvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fromCsvField(text) {
+    return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+// index.html declares the key on <html>, where its inline theme script reads
+// it as well; pages that don't get this default
+const STORAGE_KEY = document.documentElement.dataset.storageKey || 'serenity-player-state';
+const STORAGE_VERSION = 4;
+
+class PlayerStorage {
+    constructor(key) {
+        this.key = key;
+        this.backupKey = `${key}:corrupt`;
+    }
+
+    /*
+    each entry upgrades a record saved by version N to version N + 1.
+    add a new entry (and bump STORAGE_VERSION) whenever the saved shape changes.
+    */
+    static migrations = {
+        // version 2 replaced the single repeat flag with off / one / all
+        1: (data) => {
+            if (data.player) {
+                data.player.repeatMode = data.player.isRepeating ? 'one' : 'off';
+                delete data.player.isRepeating;
+            }
+            return data;
+        },
+        // version 3 identifies tracks by a stable key (the src for built-in
+        // tracks, so saved queues stay valid) since imported tracks get a new
+        // object URL on every load
+        2: (data) => {
+            if (data.player) {
+                data.player.currentTrack = data.player.currentTrackSrc;
+                delete data.player.currentTrackSrc;
+            }
+            return data;
+        },
+        // version 4 moved seeking and volume off the bare arrow keys, which
+        // the page needs for scrolling
+        3: (data) => {
+            const shortcuts = data.shortcuts;
+            if (shortcuts && typeof shortcuts === 'object') {
+                const bindings = Object.values(shortcuts);
+                Object.keys(shortcuts).forEach(action => {
+                    const moved = `Shift+${shortcuts[action]}`;
+                    if (/^Arrow(Up|Down|Left|Right)$/.test(shortcuts[action]) && !bindings.includes(moved)) {
+                        shortcuts[action] = moved;
+                    }
+                });
+            }
+            return data;
+        }
+    };
+
+    load() {
+        let raw;
+        try {
+            raw = localStorage.getItem(this.key);
+        } catch (e) {
+            console.log('Saved state unavailable:', e.message);
+            return null;
+        }
+        if (raw === null) return null;
+
+        try {
+            const data = JSON.parse(raw);
+            if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+                throw new Error('missing schema version');
+            }
+            return this.migrate(data);
+        } catch (e) {
+            this.discard(raw, e);
+            return null;
+        }
+    }
+
+    migrate(data) {
+        if (data.version > STORAGE_VERSION) {
+            throw new Error(`saved by a newer version (${data.version})`);
+        }
+        while (data.version < STORAGE_VERSION) {
+            const upgrade = PlayerStorage.migrations[data.version];
+            if (!upgrade) {
+                throw new Error(`no migration from version ${data.version}`);
+            }
+            data = upgrade(data);
+            data.version++;
+        }
+        return data;
+    }
+
+    save(state) {
+        try {
+            localStorage.setItem(this.key, JSON.stringify({
+                ...state,
+                version: STORAGE_VERSION,
+                savedAt: Date.now()
+            }));
+        } catch (e) {
+            // quota exceeded or storage disabled, keep running without persistence
+            console.log('State could not be saved:', e.message);
+        }
+    }
+
+    // keep a copy of unreadable data for debugging, then start fresh
+    discard(raw, error) {
+        console.log('Discarding saved state:', error.message);
+        try {
+            localStorage.setItem(this.backupKey, raw);
+            localStorage.removeItem(this.key);
+        } catch (e) {
+            // nothing more we can do without storage
+        }
+    }
+}
+
+/*
+embedding:
+a player works inside a root element (the whole document for this page)
+and only touches what it finds there. page-wide behaviour such as saved
+state, keyboard shortcuts or the media keys is opt-in through features,
+so several players can share a page without fighting over it.
+*/
+const PLAYER_FEATURES = {
+    persistence: false, // localStorage, under options.storageKey
+    library: false, // imported files kept in IndexedDB
+    shortcuts: false, // document-wide keyboard shortcuts
+    mediaSession: false, // media keys and lock screen controls
+    timerSync: false, // focus timer shared between tabs
+    documentTitle: false, // timer countdown in the tab title
+    notifications: false, // system notification when a timer phase ends
+    offline: false, // service worker and offline track cache
+    theme: false // colour theme on <html>, including the automatic night theme
+};
+const PLAYER_EVENTS = ['trackchange', 'timeupdate', 'ended', 'timercomplete'];
+
+// icons live next to this script, wherever the page embedding the player is
+const ASSET_BASE = new URL('./', (document.currentScript && document.currentScript.src) || location.href).href;
+
+function iconUrl(name) {
+    return new URL(`icon/${name}.svg`, ASSET_BASE).href;
+}
+
+// "auto" follows the system, and turns dark between NIGHT_START and NIGHT_END.
+// like STORAGE_KEY, the hours come from <html> when the page declares them
+const THEMES = ['auto', 'light', 'dark', 'contrast'];
+const NIGHT_START = Number(document.documentElement.dataset.nightStart || 20); // hour of the day
+const NIGHT_END = Number(document.documentElement.dataset.nightEnd || 7);
+
+class RelaxationMusicPlayer extends EventTarget {
+    constructor(root = document, options = {}) {
+        super();
+        this.root = root;
+        this.features = { ...PLAYER_FEATURES, ...options.features };
+        this.initialTracks = Array.isArray(options.tracks) ? options.tracks : null;
+        this.initialVolume = Number.isFinite(options.volume) ? Math.min(100, Math.max(0, options.volume)) : 70;
+
+        // core player elements initialization
+        this.audio = this.find('audio-player', 'audio');
+        this.standbyAudio = new Audio();
+        this.standbyAudio.preload = 'auto';
+        this.decks = [this.audio, this.standbyAudio];
+        // remote tracks are routed through Web Audio, which only hears other sites' audio fetched with CORS
+        this.decks.forEach(deck => { deck.crossOrigin = 'anonymous'; });
+        this.playPauseBtn = this.find('play-pause-btn', 'button');
+        this.prevBtn = this.find('prev-btn', 'button');
+        this.nextBtn = this.find('next-btn', 'button');
+        this.shuffleBtn = this.find('shuffle-btn', 'button');
+        this.repeatBtn = this.find('repeat-btn', 'button');
+        this.repeatBadge = this.find('repeat-badge', 'span');
+        this.progressBar = this.find('progress-bar', 'input');
+        this.progressContainer = this.find('progress-container');
+        this.progressFill = this.find('progress-fill');
+        this.volumeSlider = this.find('volume-slider', 'input');
+        this.volumeDisplay = this.find('volume-display', 'span');
+        this.rateSlider = this.find('rate-slider', 'input');
+        this.rateDisplay = this.find('rate-display', 'span');
+        this.progressMarks = this.find('progress-marks');
+        this.loopA = this.find('loop-a', 'button');
+        this.loopB = this.find('loop-b', 'button');
+        this.loopClear = this.find('loop-clear', 'button');
+        this.loopStatus = this.find('loop-status', 'span');
+        this.bookmarkName = this.find('bookmark-name', 'input');
+        this.bookmarkAdd = this.find('bookmark-add', 'button');
+        this.bookmarkList = this.find('bookmark-list', 'ul');
+        this.sleepMode = this.find('sleep-mode', 'select');
+        this.sleepAmount = this.find('sleep-amount', 'input');
+        this.sleepStart = this.find('sleep-start', 'button');
+        this.sleepRemaining = this.find('sleep-remaining', 'button');
+        this.sleepCancel = this.find('sleep-cancel', 'button');
+        this.currentTimeSpan = this.find('current-time', 'span');
+        this.totalTimeSpan = this.find('total-time', 'span');
+        this.trackTitle = this.find('track-title', 'h2');
+        this.trackList = this.find('track-list', 'ul');
+        this.playlistSection = this.find('playlist');
+        this.playlistTitle = this.find('playlist-title', 'h3');
+        this.playlistSelect = this.find('playlist-select', 'select');
+        this.playlistName = this.find('playlist-name', 'input');
+        this.playlistNew = this.find('playlist-new', 'button');
+        this.playlistRename = this.find('playlist-rename', 'button');
+        this.playlistDelete = this.find('playlist-delete', 'button');
+        this.playlistAddTrack = this.find('playlist-add-track', 'select');
+        this.playlistRemoveTrack = this.find('playlist-remove-track', 'button');
+        this.playlistExportM3u = this.find('playlist-export-m3u', 'button');
+        this.playlistExportJson = this.find('playlist-export-json', 'button');
+        this.playlistImport = this.find('playlist-import', 'input');
+        this.importFilesInput = this.find('import-files', 'input');
+        this.importFolderInput = this.find('import-folder', 'input');
+        this.importStatus = this.find('import-status', 'span');
+        this.playlistDownload = this.find('playlist-download', 'button');
+        this.offlineStatus = this.find('offline-status', 'span');
+        this.crossfadeSlider = this.find('crossfade-slider', 'input');
+        this.crossfadeDisplay = this.find('crossfade-display', 'span');
+        this.toast = this.find('player-toast');
+        this.visualizerMode = this.find('visualizer-mode', 'select');
+        this.toastText = this.find('player-toast-text', 'span');
+        this.toastAction = this.find('player-toast-action', 'button');
+        this.announcer = this.find('player-announcer');
+
+        // keyboard shortcut help
+        this.shortcutOpen = this.find('shortcut-open', 'button');
+        this.themeSelect = this.find('theme-select', 'select');
+        this.shortcutOverlay = this.find('shortcut-overlay');
+        this.shortcutHint = this.find('shortcut-hint', 'p');
+        this.shortcutList = this.find('shortcut-list', 'tbody');
+        this.shortcutReset = this.find('shortcut-reset', 'button');
+        this.shortcutClose = this.find('shortcut-close', 'button');
+
+        // ambient mixer elements
+        this.ambientLayers = this.findAll('.ambient-layer');
+        this.ambientPreset = this.find('ambient-preset', 'select');
+        this.ambientPresetName = this.find('ambient-preset-name', 'input');
+        this.ambientPresetSave = this.find('ambient-preset-save', 'button');
+        this.ambientPresetDelete = this.find('ambient-preset-delete', 'button');
+
+        // timer elements
+        this.timerDisplay = this.find('timer-display');
+        this.timerStart = this.find('timer-start', 'button');
+        this.timerPause = this.find('timer-pause', 'button');
+        this.timerReset = this.find('timer-reset', 'button');
+        this.timer60 = this.find('timer-60', 'button');
+        this.timer30 = this.find('timer-30', 'button');
+        this.timer15 = this.find('timer-15', 'button');
+        this.timerPhaseLabel = this.find('timer-phase');
+        this.timerSessions = this.find('timer-sessions');
+        this.pomodoroWork = this.find('pomodoro-work', 'input');
+        this.pomodoroShort = this.find('pomodoro-short', 'input');
+        this.pomodoroLong = this.find('pomodoro-long', 'input');
+        this.pomodoroEvery = this.find('pomodoro-every', 'input');
+        this.pomodoroAuto = this.find('pomodoro-auto', 'input');
+        this.pomodoroEndWithTask = this.find('pomodoro-end-with-task', 'input');
+        this.timerTask = this.find('timer-task', 'select');
+        this.sessionLogList = this.find('session-log-list', 'ul');
+
+        // statistics elements
+        this.statsToday = this.find('stats-today', 'span');
+        this.statsWeek = this.find('stats-week', 'span');
+        this.statsStreak = this.find('stats-streak', 'span');
+        this.statsBestStreak = this.find('stats-best-streak', 'span');
+        this.statsDaily = this.find('stats-daily');
+        this.statsWeekly = this.find('stats-weekly');
+        this.statsHeatmap = this.find('stats-heatmap');
+        this.statsTasks = this.find('stats-tasks');
+        this.statsTracks = this.find('stats-tracks', 'ol');
+        this.statsExportCsv = this.find('stats-export-csv', 'button');
+        this.statsExportJson = this.find('stats-export-json', 'button');
+        this.statsImport = this.find('stats-import', 'input');
+        this.statsStatus = this.find('stats-status');
+        this.pomodoroMusic = this.findAll('.pomodoro-music');
+
+        // todo list elements
+        this.todoInput = this.find('todo-input', 'input');
+        this.todoAddBtn = this.find('todo-add', 'button');
+        this.todoList = this.find('todo-list', 'ul');
+        this.todoCount = this.find('todo-count', 'span');
+        this.todoCountLabel = this.find('todo-count-label', 'span');
+        this.todoPriority = this.find('todo-priority', 'select');
+        this.todoDue = this.find('todo-due', 'input');
+        this.todoFilters = this.findAll('.todo-filter[data-filter]');
+        this.todoClearCompleted = this.find('todo-clear-completed', 'button');
+
+        // player state variables
+        this.isPlaying = false;
+        this.currentTrackIndex = 0;
+        this.isShuffled = false;
+        this.repeatMode = 'off'; // 'off' | 'one' | 'all'
+        this.tracks = [];
+        this.crossfadeSeconds = 0;
+        this.playbackRate = 1;
+        // track key -> { loop: { a, b }, bookmarks: [{ id, name, time }] }
+        this.trackMarks = {};
+
+        // sleep timer: { endsAt } or { tracksLeft } while running; sleepFade scales the output
+        this.sleep = null;
+        this.sleepFade = 1;
+        this.sleepInterval = null;
+        this.sleepRestoreTimeout = null;
+
+        // imported tracks live in IndexedDB; savedPlayback holds a restored
+        // track that can only be found once the library has loaded
+        this.library = new TrackLibrary(this.features.library);
+        this.savedPlayback = null;
+
+        // every known track by key, and the playlists that arrange them;
+        // this.tracks is always the active playlist's resolvable tracks
+        this.catalog = new Map();
+        this.remoteTracks = [];
+        this.playlists = [];
+        this.activePlaylistId = null;
+        this.draggedTrackIndex = null;
+
+        // action -> binding, see SHORTCUT_ACTIONS; rebindingAction waits for a key
+        this.shortcuts = this.getDefaultShortcuts();
+        this.rebindingAction = null;
+        this.focusBeforeHelp = null;
+        this.volumeBeforeMute = null;
+
+        // keys of music/ tracks found in the offline cache
+        this.offlineTracks = new Set();
+        this.reloadingForUpdate = false;
+
+        // the chosen theme; 'auto' is resolved again whenever the system or the hour changes
+        this.theme = 'auto';
+        this.appliedTheme = null;
+
+        this.visualizer = new AudioVisualizer(this.find('visualizer', 'canvas'));
+
+        // keys of tracks that failed to load this session; they are skipped until retried
+        this.unavailableTracks = new Set();
+        this.stallTimeout = null;
+        this.toastTimeout = null;
+
+        // web audio graph, created on the first play (browsers require a user gesture)
+        this.audioContext = null;
+        this.masterGain = null;
+        this.deckGains = new Map();
+        this.fadeTimeout = null;
+        this.pauseFadeTimeout = null;
+
+        // ambient layers and their saved mixes, keyed by preset name
+        this.ambient = new AmbientMixer();
+        this.ambientPresets = new Map();
+
+        // play queue: track indices in play order, plus a back stack of what actually played
+        this.queue = [];
+        this.queuePosition = 0;
+        this.history = [];
+        this.upcomingQueue = null;
+        
+        // timer state variables
+        this.timerMinutes = 60;
+        this.timerSeconds = 0;
+        this.timerInterval = null;
+        this.timerDeadline = null;
+        this.timerEndsAt = null;
+        this.timerRunning = false;
+        this.timerChannel = null;
+        this.baseTitle = document.title;
+
+        // pomodoro cycle state
+        this.timerPhase = 'work';
+        this.completedSessions = 0;
+        this.phaseStarted = false;
+        this.phaseTimeout = null;
+        this.pomodoro = {
+            durations: { work: 60, shortBreak: 10, longBreak: 30 },
+            longBreakEvery: 4,
+            autoAdvance: true,
+            endWithTask: false,
+            music: { work: 'keep', shortBreak: 'keep', longBreak: 'keep' }
+        };
+
+        // focus sessions: the task they are for, the one in progress and the finished ones
+        this.focusTaskId = null;
+        this.currentSession = null;
+        this.sessionLog = [];
+        // every time a task was ticked off, kept even after the task is deleted
+        this.completionLog = [];
+
+        // todo List state
+        this.todos = [];
+        this.todoIdCounter = 0;
+        this.todoFilter = 'all';
+        this.draggedTodoId = null;
+        // what the last delete removed, with positions, until it is undone or replaced
+        this.deletedTodos = null;
+
+        // persistence state
+        // a shared key would let one player write over another's saved state
+        if (this.features.persistence && !options.storageKey) {
+            throw new Error('a player with persistence needs its own storageKey');
+        }
+        this.storage = this.features.persistence ? new PlayerStorage(options.storageKey) : null;
+        this.saveTimeout = null;
+        this.dirtySections = new Set();
+        this.pendingSeekTime = null;
+
+        this.initializePlayer();
+        this.setupEventListeners();
+        this.setupMediaSession();
+        this.setupTimerSync();
+        this.setupThemes();
+        this.loadTracks();
+        this.restoreState();
+        this.applyTheme();
+        this.loadLibrary();
+        this.registerServiceWorker();
+        // the tracks restored above are not news; later changes are announced
+        this.announceChanges = true;
+    }
+
+    // elements inside another player's root belong to that player
+    ownsElement(element) {
+        return (element.closest('[data-player-root]') || document) === this.root;
+    }
+
+    // an element by id or data-player name; parts the markup leaves out get a
+    // detached stand-in, so the rest of the player needs no checks for them
+    find(name, tag = 'div') {
+        const element = Array.from(this.root.querySelectorAll(`#${name}, [data-player="${name}"]`))
+            .find(candidate => this.ownsElement(candidate));
+        return element || document.createElement(tag);
+    }
+
+    findAll(selector) {
+        return Array.from(this.root.querySelectorAll(selector)).filter(element => this.ownsElement(element));
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // the public view of a track, without element references or object urls of covers
+    describeTrack(track) {
+        return track ? { key: track.key, src: track.src, title: track.title, artist: track.artist || '' } : null;
+    }
+
+    /*
+    nitialization methods:
+    setting up the player with default values and preparing all components
+    for user interaction while maintaining the calm, focused atmosphere
+    */
+    initializePlayer() {
+        this.setVolume(this.initialVolume); // 70 by default, a comfortable level for study/relaxation
+        this.updateTimerDisplay();
+        this.updatePhaseDisplay();
+        this.updateSleepControls();
+    }
+
+    setupEventListeners() {
+        // core playback controls with smooth user feedback
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
+        this.prevBtn.addEventListener('click', () => this.playPrevious());
+        this.nextBtn.addEventListener('click', () => this.playNext());
+        this.shuffleBtn.addEventListener('click', () => this.toggleShuffle());
+        this.repeatBtn.addEventListener('click', () => this.cycleRepeatMode());
+
+        // Progress bar interaction for seamless track navigation
+        this.progressBar.addEventListener('input', () => this.seekTrack());
+        this.progressBar.addEventListener('change', () => this.seekTrack());
+
+        /*
+        volume control with real-time feedback volume:
+        the volume slider provides immediate audio and visual feedback,
+        essential for maintaining the peaceful study environment without
+        sudden volume changes that could disturb concentration.
+        */
+        this.volumeSlider.addEventListener('input', (e) => this.setVolume(e.target.value));
+        this.rateSlider.addEventListener('input', (e) => this.setPlaybackRate(Number(e.target.value) / 100));
+        this.loopA.addEventListener('click', () => this.setLoopPoint('a'));
+        this.loopB.addEventListener('click', () => this.setLoopPoint('b'));
+        this.loopClear.addEventListener('click', () => this.clearLoop());
+        this.bookmarkAdd.addEventListener('click', () => this.addBookmark(this.bookmarkName.value));
+        this.bookmarkName.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addBookmark(this.bookmarkName.value);
+        });
+        this.bookmarkList.addEventListener('click', (e) => {
+            const remove = e.target.closest('.bookmark-remove');
+            const jump = e.target.closest('.bookmark-jump');
+            if (remove) {
+                this.removeBookmark(remove.closest('li').dataset.id);
+            } else if (jump) {
+                this.seekTo(Number(jump.closest('li').dataset.time));
+            }
+        });
+        this.sleepMode.addEventListener('change', () => this.updateSleepControls());
+        this.sleepStart.addEventListener('click', () => {
+            const amount = Math.round(Number(this.sleepAmount.value));
+            if (this.sleepMode.value !== 'track' && !(amount >= 1)) {
+                this.sleepAmount.focus();
+                return;
+            }
+            this.startSleep(this.sleepMode.value, amount);
+        });
+        this.sleepRemaining.addEventListener('click', () => this.extendSleep());
+        this.sleepCancel.addEventListener('click', () => this.cancelSleep());
+
+        /*
+        track import:
+        audio files can be dropped onto the playlist (folders included)
+        or picked with the file and folder buttons.
+        */
+        this.importFilesInput.addEventListener('change', (e) => {
+            this.importFiles(Array.from(e.target.files)).catch(error => this.reportImportError(error));
+            e.target.value = '';
+        });
+        this.importFolderInput.addEventListener('change', (e) => {
+            this.importFiles(Array.from(e.target.files)).catch(error => this.reportImportError(error));
+            e.target.value = '';
+        });
+        this.playlistSection.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) {
+                e.preventDefault();
+                this.playlistSection.classList.add('drag-over');
+            }
+        });
+        this.playlistSection.addEventListener('dragleave', (e) => {
+            if (!this.playlistSection.contains(e.relatedTarget)) {
+                this.playlistSection.classList.remove('drag-over');
+            }
+        });
+        this.playlistSection.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            this.playlistSection.classList.remove('drag-over');
+            this.collectDroppedFiles(e.dataTransfer)
+                .then(files => this.importFiles(files))
+                .catch(error => this.reportImportError(error));
+        });
+
+        this.crossfadeSlider.addEventListener('input', (e) => this.setCrossfade(Number(e.target.value)));
+        this.visualizerMode.addEventListener('change', () => this.setVisualizerMode(this.visualizerMode.value));
+        this.themeSelect.addEventListener('change', () => this.setTheme(this.themeSelect.value));
+        // nothing to draw for a hidden tab; the loop picks up again when it is shown
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.visualizer.stop();
+            } else {
+                this.visualizer.start();
+            }
+        });
+
+        /*
+        keyboard shortcuts:
+        one document-level handler looks every key up in the shortcut map;
+        the help overlay lists the map and rebinds an action on click.
+        */
+        if (this.features.shortcuts) {
+            document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        }
+        this.shortcutOpen.addEventListener('click', () => this.openShortcutHelp());
+        this.shortcutClose.addEventListener('click', () => this.closeShortcutHelp());
+        this.shortcutReset.addEventListener('click', () => this.resetShortcuts());
+        this.shortcutOverlay.addEventListener('click', (e) => {
+            if (e.target === this.shortcutOverlay) this.closeShortcutHelp();
+        });
+        this.shortcutList.addEventListener('click', (e) => {
+            const keyButton = e.target.closest('.shortcut-key');
+            if (keyButton) this.startRebinding(keyButton.dataset.action);
+        });
+
+        // audio event listeners for responsive UI updates; both decks are
+        // listened to, but only the active one drives the interface
+        this.decks.forEach(deck => {
+            deck.addEventListener('loadedmetadata', () => {
+                if (deck !== this.audio) return;
+                this.updateTotalTime();
+                this.restorePosition();
+                this.updateMediaPosition();
+                this.renderTrackMarks();
+            });
+            deck.addEventListener('timeupdate', () => {
+                if (deck !== this.audio) return;
+                this.updateProgress();
+                this.emit('timeupdate', { currentTime: deck.currentTime, duration: deck.duration });
+                this.checkLoop();
+                this.checkTransition();
+                this.scheduleSave('player');
+            });
+            deck.addEventListener('ended', () => {
+                if (deck === this.audio) this.handleTrackEnd();
+            });
+
+            // missing or undecodable files, and streams that stop delivering data
+            deck.addEventListener('error', () => this.handleTrackError(deck));
+            ['stalled', 'waiting'].forEach(type => deck.addEventListener(type, () => {
+                if (deck === this.audio) this.watchForStall();
+            }));
+            ['playing', 'canplay'].forEach(type => deck.addEventListener(type, () => {
+                if (deck === this.audio) this.clearStallWatch();
+            }));
+            deck.addEventListener('playing', () => {
+                if (deck === this.audio) this.recordPlayedTrack();
+            });
+        });
+
+        // playlist interaction for easy track selection
+        this.trackList.addEventListener('click', (e) => {
+            const trackItem = e.target.closest('.track-item');
+            if (trackItem) this.selectTrack(Array.from(this.trackList.children).indexOf(trackItem));
+        });
+        // the playlist is one tab stop; focus follows the arrow keys inside it
+        this.trackList.addEventListener('focusin', () => this.updateTrackSelection());
+
+        /*
+        playlist manager:
+        tracks reorder by dragging or with Alt + arrow keys on a focused
+        track; playlists can be created, renamed, deleted and shared.
+        */
+        this.trackList.addEventListener('dragstart', (e) => this.handleTrackDragStart(e));
+        this.trackList.addEventListener('dragover', (e) => this.handleTrackDragOver(e));
+        this.trackList.addEventListener('drop', (e) => this.handleTrackDrop(e));
+        this.trackList.addEventListener('dragend', () => this.clearDragState());
+        this.trackList.addEventListener('keydown', (e) => this.handleTrackKeydown(e));
+        this.playlistSelect.addEventListener('change', () => this.setActivePlaylist(this.playlistSelect.value));
+        this.playlistNew.addEventListener('click', () => this.createPlaylist(this.playlistName.value));
+        this.playlistRename.addEventListener('click', () => this.renamePlaylist(this.playlistName.value));
+        this.playlistDelete.addEventListener('click', () => this.deletePlaylist());
+        this.playlistAddTrack.addEventListener('change', () => {
+            this.addToPlaylist(this.playlistAddTrack.value);
+            this.playlistAddTrack.value = '';
+        });
+        this.playlistRemoveTrack.addEventListener('click', () => this.removeFromPlaylist(this.currentTrackIndex));
+        this.playlistExportM3u.addEventListener('click', () => this.exportPlaylist('m3u'));
+        this.playlistExportJson.addEventListener('click', () => this.exportPlaylist('json'));
+        this.playlistDownload.addEventListener('click', () => this.downloadPlaylist());
+        window.addEventListener('online', () => this.updateNetworkStatus());
+        window.addEventListener('offline', () => this.updateNetworkStatus());
+        this.playlistImport.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importPlaylist(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // ambient mixer: toggles and levels per layer, named presets for the whole mix
+        this.ambientLayers.forEach(row => {
+            const name = row.dataset.layer;
+            row.querySelector('.ambient-toggle').addEventListener('click', () => {
+                this.setAmbientLayer(name, { enabled: !this.ambient.layers[name].enabled });
+            });
+            row.querySelector('.ambient-volume').addEventListener('input', (e) => {
+                this.setAmbientLayer(name, { volume: Number(e.target.value) });
+            });
+        });
+        this.ambientPreset.addEventListener('change', () => this.loadAmbientPreset(this.ambientPreset.value));
+        this.ambientPresetSave.addEventListener('click', () => this.saveAmbientPreset());
+        this.ambientPresetDelete.addEventListener('click', () => this.deleteAmbientPreset());
+
+        /*
+        focus timer event listeners:
+        This additional feature provides Pomodoro technique support,
+        enhancing the study experience by helping users maintain
+        focused work sessions with appropriate breaks.
+        */
+        this.timerStart.addEventListener('click', () => this.startTimer());
+        this.timerPause.addEventListener('click', () => this.pauseTimer());
+        this.timerReset.addEventListener('click', () => this.resetTimer());
+        this.timerTask.addEventListener('change', () => this.setFocusTask(this.timerTask.value));
+        this.timer60.addEventListener('click', () => this.setTimer(60));
+        this.timer30.addEventListener('click', () => this.setTimer(30));
+        this.timer15.addEventListener('click', () => this.setTimer(15));
+        [this.pomodoroWork, this.pomodoroShort, this.pomodoroLong, this.pomodoroEvery,
+            this.pomodoroAuto, this.pomodoroEndWithTask, ...this.pomodoroMusic].forEach(input => {
+            input.addEventListener('change', () => this.readPomodoroSettings());
+        });
+
+        /*
+        todo list event listeners:
+        interactive task management integrated with the study environment.
+        users can add, complete, and delete tasks while maintaining focus.
+        */
+        this.todoAddBtn.addEventListener('click', () => this.addTodo());
+        this.todoInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addTodo();
+            }
+        });
+        this.todoList.addEventListener('click', (e) => this.handleTodoClick(e));
+        this.todoList.addEventListener('dblclick', (e) => {
+            const text = e.target.closest('.todo-text');
+            if (text) this.editTodo(Number(text.closest('.todo-item').dataset.id));
+        });
+        this.todoList.addEventListener('keydown', (e) => this.handleTodoKeydown(e));
+        this.todoList.addEventListener('dragstart', (e) => this.handleTodoDragStart(e));
+        this.todoList.addEventListener('dragover', (e) => this.handleTodoDragOver(e));
+        this.todoList.addEventListener('drop', (e) => this.handleTodoDrop(e));
+        this.todoList.addEventListener('dragend', () => this.clearTodoDragState());
+        this.todoFilters.forEach(button => {
+            button.addEventListener('click', () => this.setTodoFilter(button.dataset.filter));
+        });
+        this.todoClearCompleted.addEventListener('click', () => this.clearCompletedTodos());
+
+        // statistics export and import
+        this.statsExportCsv.addEventListener('click', () => this.exportStats('csv'));
+        this.statsExportJson.addEventListener('click', () => this.exportStats('json'));
+        this.statsImport.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importStats(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // tasks edited in another tab replace this tab's copy
+        if (this.storage) {
+            window.addEventListener('storage', (e) => {
+                if (e.key === this.storage.key) this.syncTodos();
+            });
+        }
+
+        // write state immediately when the page is closed or sent to the background
+        window.addEventListener('pagehide', () => this.saveState());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.saveState();
+            } else {
+                // catch up at once instead of waiting for the next throttled tick
+                this.tickTimer();
+            }
+        });
+    }
+
+    // with the audio graph running the master gain carries the volume and the decks stay at full level
+    setVolume(volume) {
+        this.volumeSlider.value = volume;
+        this.volumeDisplay.textContent = volume;
+        this.applyVolume();
+        this.volumeBeforeMute = null;
+        this.scheduleSave('player');
+    }
+
+    // the slider level, scaled down while the sleep timer fades out, which
+    // takes the ambient layers down with it
+    applyVolume() {
+        this.ambient.setFade(this.sleepFade);
+        const level = Number(this.volumeSlider.value) / 100 * this.sleepFade;
+        if (this.masterGain) {
+            this.masterGain.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.02);
+        } else {
+            this.decks.forEach(deck => { deck.volume = level; });
+        }
+    }
+
+    changeVolume(delta) {
+        this.setVolume(Math.min(100, Math.max(0, Number(this.volumeSlider.value) + delta)));
+    }
+
+    // muting remembers the level so unmuting (or the slider) takes over from there
+    toggleMute() {
+        if (this.volumeBeforeMute !== null) {
+            this.setVolume(this.volumeBeforeMute);
+        } else {
+            const volume = Number(this.volumeSlider.value);
+            this.setVolume(0);
+            this.volumeBeforeMute = volume;
+        }
+    }
+
+    /*
+    state persistence:
+    saving is coalesced to at most once per second because timeupdate fires
+    constantly. each change names the sections it touched and only those are
+    written over the stored record, so a tab playing music doesn't undo the
+    todos or playlists edited in another one. restoring checks every field on
+    its own so a single bad value falls back to its default without losing
+    the rest.
+    */
+    collectState() {
+        const track = this.tracks[this.currentTrackIndex];
+        return {
+            player: {
+                volume: Number(this.volumeSlider.value),
+                currentTrack: track ? track.key : null,
+                currentTime: this.pendingSeekTime ?? this.audio.currentTime,
+                isShuffled: this.isShuffled,
+                repeatMode: this.repeatMode,
+                crossfade: this.crossfadeSeconds,
+                playbackRate: this.playbackRate,
+                visualizer: this.visualizer.mode,
+                queue: this.queue.map(index => this.tracks[index].key)
+            },
+            timer: this.getTimerState(),
+            pomodoro: this.pomodoro,
+            sessions: {
+                focusTaskId: this.focusTaskId,
+                current: this.currentSession,
+                log: this.sessionLog,
+                completions: this.completionLog
+            },
+            shortcuts: this.shortcuts,
+            theme: this.theme,
+            marks: this.trackMarks,
+            playlists: {
+                items: this.playlists,
+                active: this.activePlaylistId,
+                remoteTracks: this.remoteTracks
+            },
+            ambient: {
+                layers: this.ambient.layers,
+                presets: Object.fromEntries(this.ambientPresets)
+            },
+            todos: {
+                filter: this.todoFilter,
+                items: this.todos.map(todo => ({
+                    id: todo.id,
+                    text: todo.text,
+                    completed: todo.completed,
+                    priority: todo.priority,
+                    due: todo.due,
+                    pomodoros: todo.pomodoros,
+                    timestamp: todo.timestamp.toISOString()
+                })),
+                idCounter: this.todoIdCounter
+            }
+        };
+    }
+
+    saveState() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        const sections = [...this.dirtySections];
+        this.dirtySections.clear();
+        if (!this.storage || sections.length === 0) return;
+
+        // another tab may have saved since, so keep its copy of everything not changed here;
+        // with nothing readable stored, the whole state is written
+        const state = this.collectState();
+        const saved = this.storage.load();
+        if (saved) sections.forEach(section => { saved[section] = state[section]; });
+        this.storage.save(saved || state);
+    }
+
+    scheduleSave(...sections) {
+        sections.forEach(section => this.dirtySections.add(section));
+        if (this.saveTimeout) return;
+        this.saveTimeout = setTimeout(() => this.saveState(), 1000);
+    }
+
+    restoreState() {
+        const state = (this.storage && this.storage.load()) || {};
+        const player = state.player || {};
+        const timer = state.timer || {};
+        const pomodoro = state.pomodoro || {};
+        const ambient = state.ambient || {};
+        const todos = state.todos || {};
+        const playlists = state.playlists || {};
+
+        // marks first: restoring the playlists loads a track, which draws them
+        this.restoreTrackMarks(state.marks || {});
+        this.restorePlaylists(playlists);
+
+        if (Number.isFinite(player.volume) && player.volume >= 0 && player.volume <= 100) {
+            this.setVolume(Math.round(player.volume));
+        }
+
+        if (player.isShuffled === true) this.toggleShuffle();
+        if (REPEAT_MODES.includes(player.repeatMode)) this.setRepeatMode(player.repeatMode);
+        if (!this.restorePlayback(player)) {
+            // most likely an imported track, try again when the library is in
+            this.loadTrack(0, false);
+            this.savedPlayback = player;
+        }
+        if (Number.isInteger(player.crossfade) && player.crossfade >= 0 && player.crossfade <= MAX_CROSSFADE) {
+            this.setCrossfade(player.crossfade);
+        }
+        if (Number.isFinite(player.playbackRate) &&
+            player.playbackRate >= MIN_PLAYBACK_RATE && player.playbackRate <= MAX_PLAYBACK_RATE) {
+            this.setPlaybackRate(player.playbackRate);
+        }
+        if (VISUALIZER_MODES.includes(player.visualizer)) {
+            // drawing starts with the audio graph, on the first play
+            this.visualizer.setMode(player.visualizer);
+            this.visualizerMode.value = player.visualizer;
+        }
+
+        this.restorePomodoroSettings(pomodoro);
+        this.restoreShortcuts(state.shortcuts || {});
+        if (THEMES.includes(state.theme)) {
+            this.theme = state.theme;
+            this.themeSelect.value = state.theme;
+        }
+        this.restoreAmbient(ambient);
+
+        this.restoreTodos(todos);
+        if (TODO_FILTERS.includes(todos.filter)) {
+            this.todoFilter = todos.filter;
+        }
+
+        // after the tasks, so a session that finished while the page was closed finds its task
+        this.restoreSessions(state.sessions || {});
+        this.setTodoFilter(this.todoFilter);
+        this.applyTimerState(timer);
+    }
+
+    restoreTodos(saved) {
+        if (Array.isArray(saved.items)) {
+            this.todos = saved.items
+                .filter(todo => todo && Number.isInteger(todo.id) && typeof todo.text === 'string')
+                .map(todo => {
+                    const timestamp = new Date(todo.timestamp);
+                    return {
+                        id: todo.id,
+                        text: todo.text,
+                        completed: todo.completed === true,
+                        priority: TODO_PRIORITIES.includes(todo.priority) ? todo.priority : DEFAULT_TODO_PRIORITY,
+                        due: /^\d{4}-\d{2}-\d{2}$/.test(todo.due) ? todo.due : null,
+                        pomodoros: Number.isInteger(todo.pomodoros) && todo.pomodoros > 0 ? todo.pomodoros : 0,
+                        timestamp: isNaN(timestamp) ? new Date() : timestamp
+                    };
+                });
+            const nextId = this.todos.reduce((max, todo) => Math.max(max, todo.id + 1), 0);
+            this.todoIdCounter = Number.isInteger(saved.idCounter) ?
+                Math.max(saved.idCounter, nextId) : nextId;
+        }
+    }
+
+    // another tab saved its task list; show it unless a change made here is still waiting to be written
+    syncTodos() {
+        if (this.dirtySections.has('todos') || this.todoList.querySelector('.todo-item.editing')) return;
+        const state = this.storage.load();
+        if (!state || !state.todos) return;
+        this.restoreTodos(state.todos);
+        this.renderTodos();
+        this.updateTodoCount();
+    }
+
+    restorePlayback(player) {
+        const trackIndex = this.tracks.findIndex(track => track.key === player.currentTrack);
+        if (trackIndex === -1) return false;
+
+        this.loadTrack(trackIndex, false);
+        if (Number.isFinite(player.currentTime) && player.currentTime > 0) {
+            // applied once the track's metadata (and duration) is known
+            this.pendingSeekTime = player.currentTime;
+        }
+        if (Array.isArray(player.queue)) this.restoreQueue(player.queue);
+        return true;
+    }
+
+    restorePlaylists(saved) {
+        if (Array.isArray(saved.remoteTracks)) {
+            saved.remoteTracks
+                .filter(track => track && typeof track.key === 'string' && typeof track.title === 'string')
+                .forEach(track => this.addRemoteTrack(track));
+        }
+        if (Array.isArray(saved.items)) {
+            const playlists = saved.items
+                .filter(playlist => playlist && typeof playlist.id === 'string' &&
+                    typeof playlist.name === 'string' && Array.isArray(playlist.tracks))
+                .map(playlist => ({
+                    id: playlist.id,
+                    name: playlist.name,
+                    // a track is in a playlist once, since its key identifies its row
+                    tracks: Array.from(new Set(playlist.tracks.filter(key => typeof key === 'string')))
+                }));
+            if (playlists.length > 0) {
+                this.playlists = playlists;
+            }
+        }
+        const active = this.playlists.find(playlist => playlist.id === saved.active) || this.playlists[0];
+        this.activePlaylistId = active.id;
+        this.refreshTracks();
+    }
+
+    // keeps loops with 0 <= A < B (either may still be unset) and well-formed bookmarks
+    restoreTrackMarks(saved) {
+        const isTime = (value) => Number.isFinite(value) && value >= 0;
+        Object.keys(saved).forEach(key => {
+            const marks = saved[key] || {};
+            const loop = marks.loop || {};
+            const a = isTime(loop.a) ? loop.a : null;
+            const b = isTime(loop.b) ? loop.b : null;
+            const clean = {
+                loop: a !== null || b !== null ? { a, b: a !== null && b !== null && b <= a ? null : b } : null,
+                bookmarks: (Array.isArray(marks.bookmarks) ? marks.bookmarks : [])
+                    .filter(bookmark => bookmark && typeof bookmark.id === 'string' &&
+                        typeof bookmark.name === 'string' && isTime(bookmark.time))
+                    .map(({ id, name, time }) => ({ id, name: name.slice(0, 40), time }))
+                    .sort((x, y) => x.time - y.time)
+            };
+            if (clean.loop || clean.bookmarks.length > 0) {
+                this.trackMarks[key] = clean;
+            }
+        });
+    }
+
+    restoreAmbient(saved) {
+        const presets = saved.presets && typeof saved.presets === 'object' ? saved.presets : {};
+        Object.keys(presets).forEach(name => {
+            this.ambientPresets.set(name, this.sanitizeAmbientLayers(presets[name]));
+        });
+        // layers that were on come back on, but only sound once the audio context exists
+        Object.assign(this.ambient.layers, this.sanitizeAmbientLayers(saved.layers));
+        this.renderAmbientMixer();
+    }
+
+    // keeps known layers with a boolean switch and a 0-100 level
+    sanitizeAmbientLayers(layers) {
+        const clean = {};
+        Object.keys(AMBIENT_LAYERS).forEach(name => {
+            const layer = (layers && layers[name]) || {};
+            clean[name] = {
+                enabled: layer.enabled === true,
+                volume: Number.isFinite(layer.volume) && layer.volume >= 0 && layer.volume <= 100 ?
+                    layer.volume : 50
+            };
+        });
+        return clean;
+    }
+
+    restorePosition() {
+        if (this.pendingSeekTime === null) return;
+        if (this.pendingSeekTime < this.audio.duration) {
+            this.audio.currentTime = this.pendingSeekTime;
+            this.updateProgress();
+        }
+        this.pendingSeekTime = null;
+    }
+
+    /*
+    track management:
+    efficient handling of playlist data and track switching with
+    smooth transitions that don't interrupt the user's focus flow
+    */
+    // the tracks written in the markup seed the catalog and the default playlist
+    // the built-in tracks come from options.tracks, or else from the markup
+    loadTracks() {
+        const entries = this.initialTracks ||
+            Array.from(this.trackList.querySelectorAll('.track-item'))
+                .map(item => ({ src: item.dataset.src, title: item.dataset.title }));
+        this.playlists = [{
+            id: 'default',
+            name: this.playlistTitle.textContent || 'Playlist',
+            tracks: entries.map(entry => this.addBuiltInTrack(entry)).filter(Boolean)
+        }];
+        this.activePlaylistId = 'default';
+        this.refreshTracks();
+    }
+
+    // accepts a src string or { src, title, artist, duration }; returns the catalog key
+    addBuiltInTrack(entry) {
+        const track = typeof entry === 'string' ? { src: entry } : entry;
+        if (!track || typeof track.src !== 'string' || track.src === '') return null;
+        if (!this.catalog.has(track.src)) {
+            this.catalog.set(track.src, {
+                key: track.src,
+                src: track.src,
+                title: track.title || titleFromLocation(track.src),
+                artist: track.artist || '',
+                duration: Number.isFinite(track.duration) ? track.duration : null
+            });
+        }
+        return track.src;
+    }
+
+    // replaces the active playlist with the given tracks and starts over from the first
+    setQueue(entries) {
+        this.getActivePlaylist().tracks = entries.map(entry => this.addBuiltInTrack(entry)).filter(Boolean);
+        this.history = [];
+        // with no current track, refreshTracks loads (and keeps playing) the first one
+        this.currentTrackIndex = -1;
+        this.refreshTracks();
+    }
+
+    /*
+    playlists:
+    a playlist is an ordered list of catalog keys. whenever the active one
+    changes, this.tracks is rebuilt from it and the queue, history and
+    current track are carried over by key, so indices never go stale.
+    */
+    getActivePlaylist() {
+        return this.playlists.find(playlist => playlist.id === this.activePlaylistId);
+    }
+
+    refreshTracks(fallbackIndex = 0) {
+        const oldTracks = this.tracks;
+        const current = oldTracks[this.currentTrackIndex];
+        this.tracks = this.getActivePlaylist().tracks
+            .filter(key => this.catalog.has(key))
+            .map(key => ({ ...this.catalog.get(key) }));
+
+        const indexOf = (oldIndex) => oldTracks[oldIndex] ?
+            this.tracks.findIndex(track => track.key === oldTracks[oldIndex].key) : -1;
+        const currentIndex = current ? this.tracks.findIndex(track => track.key === current.key) : -1;
+        this.history = this.history.map(indexOf).filter(index => index !== -1);
+        this.renderTrackList();
+
+        if (currentIndex !== -1) {
+            this.currentTrackIndex = currentIndex;
+            if (this.isShuffled) {
+                const kept = this.queue.map(indexOf).filter(index => index !== -1);
+                this.queue = kept;
+                this.syncQueuePosition();
+                this.addToQueue(this.tracks.map((track, index) => index).filter(index => !kept.includes(index)));
+            } else {
+                this.buildQueue();
+            }
+            this.updateTrackSelection();
+        } else {
+            // the current track is gone: continue with the one now in its place
+            this.currentTrackIndex = -1;
+            this.buildQueue();
+            if (this.tracks.length > 0) {
+                this.loadTrack(Math.min(fallbackIndex, this.tracks.length - 1), false);
+                if (this.isPlaying) this.resumePlayback();
+            } else {
+                this.currentTrackIndex = 0;
+                if (this.isPlaying) this.togglePlayPause();
+                this.audio.removeAttribute('src');
+                delete this.audio.dataset.src;
+                this.trackTitle.textContent = 'Empty playlist';
+            }
+        }
+        this.renderPlaylistManager();
+        this.scheduleSave('playlists', 'player');
+    }
+
+    renderTrackList() {
+        // keyboard focus stays at the same place in the list across a re-render
+        const focusedIndex = Array.from(this.trackList.children).indexOf(document.activeElement);
+        this.trackList.replaceChildren(...this.tracks.map(track => {
+            track.element = this.createTrackElement(track);
+            return track.element;
+        }));
+        if (this.tracks.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'track-empty';
+            empty.textContent = 'This playlist is empty. Add tracks from the menu above or import your own.';
+            this.trackList.appendChild(empty);
+        }
+        this.updateTrackSelection();
+        if (focusedIndex !== -1 && this.tracks.length > 0) {
+            this.focusTrack(Math.min(focusedIndex, this.tracks.length - 1));
+        }
+        this.refreshOfflineStatus();
+    }
+
+    /*
+    playlist keyboard:
+    the list behaves as a listbox. arrow keys, Home and End move between
+    tracks, Enter or Space plays the focused one, Delete removes it and
+    Alt + arrow keys move it up or down.
+    */
+    handleTrackKeydown(e) {
+        const trackItem = e.target.closest('.track-item');
+        if (!trackItem) return;
+        const index = Array.from(this.trackList.children).indexOf(trackItem);
+        const last = this.tracks.length - 1;
+
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            this.moveTrack(index, index + (e.key === 'ArrowUp' ? -1 : 1));
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            this.focusTrack(Math.min(last, Math.max(0, index + (e.key === 'ArrowUp' ? -1 : 1))));
+        } else if (e.key === 'Home' || e.key === 'End') {
+            this.focusTrack(e.key === 'Home' ? 0 : last);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            this.selectTrack(index, true);
+        } else if (e.key === 'Delete') {
+            this.removeFromPlaylist(index);
+        } else {
+            return;
+        }
+        // handled here, so neither the page scroll nor the global shortcuts see it
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    focusTrack(index) {
+        if (this.tracks[index]) this.tracks[index].element.focus();
+    }
+    // marks the current track as selected and keeps a single tab stop in the
+    // list: on the track that has focus, or else on the current one
+    updateTrackSelection() {
+        const focused = this.trackList.contains(document.activeElement)
+            ? document.activeElement.closest('.track-item')
+            : null;
+        const tabStop = focused || (this.tracks[this.currentTrackIndex] || this.tracks[0] || {}).element;
+        this.tracks.forEach((track, index) => {
+            const current = index === this.currentTrackIndex;
+            track.element.classList.toggle('active', current);
+            track.element.setAttribute('aria-selected', String(current));
+            track.element.tabIndex = track.element === tabStop ? 0 : -1;
+        });
+    }
+
+    // a picked track replaces the current one; music that was playing carries
+    // on with it, and play starts it either way
+    selectTrack(index, play = false) {
+        const track = this.tracks[index];
+        if (!track) return;
+        // picking an unavailable track on purpose gives it another try
+        this.markAvailable(track);
+        this.loadTrack(index);
+        if (this.isPlaying) {
+            this.resumePlayback();
+        } else if (play) {
+            this.play();
+            this.announceTrack(track, true);
+        }
+    }
+
+    announceTrack(track, playing) {
+        const artist = track.artist ? ` by ${track.artist}` : '';
+        this.announce(`${playing ? 'Now playing' : 'Selected'}: ${track.title}${artist}`);
+    }
+
+    renderPlaylistManager() {
+        const active = this.getActivePlaylist();
+        this.playlistTitle.textContent = active.name;
+        this.playlistSelect.replaceChildren(...this.playlists.map(playlist =>
+            new Option(playlist.name, playlist.id, false, playlist.id === active.id)));
+        this.playlistDelete.disabled = this.playlists.length === 1;
+
+        this.playlistAddTrack.length = 1; // keep the "Add a track..." placeholder
+        this.catalog.forEach(track => {
+            if (!active.tracks.includes(track.key)) {
+                this.playlistAddTrack.add(new Option(track.title, track.key));
+            }
+        });
+        this.renderPhaseMusicOptions();
+    }
+
+    setActivePlaylist(id) {
+        if (!this.playlists.some(playlist => playlist.id === id)) return;
+        this.activePlaylistId = id;
+        this.history = [];
+        this.refreshTracks();
+    }
+
+    createPlaylist(name, tracks = []) {
+        const playlist = {
+            id: createId(),
+            name: name.trim() || `Playlist ${this.playlists.length + 1}`,
+            tracks
+        };
+        this.playlists.push(playlist);
+        this.playlistName.value = '';
+        this.setActivePlaylist(playlist.id);
+        return playlist;
+    }
+
+    renamePlaylist(name) {
+        if (name.trim() === '') return;
+        this.getActivePlaylist().name = name.trim();
+        this.playlistName.value = '';
+        this.renderPlaylistManager();
+        this.scheduleSave('playlists');
+    }
+
+    deletePlaylist() {
+        const active = this.getActivePlaylist();
+        if (this.playlists.length === 1 || !confirm(`Delete the playlist "${active.name}"?`)) return;
+        this.playlists = this.playlists.filter(playlist => playlist !== active);
+        this.setActivePlaylist(this.playlists[0].id);
+        this.forgetUnusedTracks(active.tracks);
+    }
+
+    addToPlaylist(key) {
+        if (!this.catalog.has(key)) return;
+        this.getActivePlaylist().tracks.push(key);
+        this.refreshTracks(this.currentTrackIndex);
+    }
+
+    removeFromPlaylist(index) {
+        const track = this.tracks[index];
+        if (!track) return;
+        const playlist = this.getActivePlaylist();
+        playlist.tracks.splice(playlist.tracks.indexOf(track.key), 1);
+        this.refreshTracks(index);
+        this.forgetUnusedTracks([track.key]);
+    }
+
+    moveTrack(from, to) {
+        if (from < 0 || to < 0 || from >= this.tracks.length || to >= this.tracks.length || from === to) return;
+        const playlist = this.getActivePlaylist();
+        const key = this.tracks[from].key;
+        const target = this.tracks[to].key;
+        playlist.tracks.splice(playlist.tracks.indexOf(key), 1);
+        playlist.tracks.splice(playlist.tracks.indexOf(target) + (to > from ? 1 : 0), 0, key);
+        this.refreshTracks(this.currentTrackIndex);
+        this.tracks[to].element.focus();
+    }
+
+    // imported tracks that no playlist uses any more are removed from the library
+    forgetUnusedTracks(keys) {
+        keys.forEach(key => {
+            const track = this.catalog.get(key);
+            if (!track || !track.libraryId) return;
+            if (this.playlists.some(playlist => playlist.tracks.includes(key))) return;
+
+            this.library.delete(track.libraryId).catch(e => console.log('Could not remove track:', e.message));
+            URL.revokeObjectURL(track.src);
+            if (track.coverUrl) URL.revokeObjectURL(track.coverUrl);
+            this.catalog.delete(key);
+            delete this.trackMarks[key];
+        });
+        this.renderPlaylistManager();
+    }
+
+    handleTrackDragStart(e) {
+        const trackItem = e.target.closest('.track-item');
+        if (!trackItem) return;
+        this.draggedTrackIndex = Array.from(this.trackList.children).indexOf(trackItem);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', trackItem.dataset.title);
+        trackItem.classList.add('dragging');
+    }
+
+    handleTrackDragOver(e) {
+        const trackItem = e.target.closest('.track-item');
+        if (this.draggedTrackIndex === null || !trackItem) return;
+        e.preventDefault();
+        const rect = trackItem.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        this.trackList.querySelectorAll('.drop-before, .drop-after').forEach(item =>
+            item.classList.remove('drop-before', 'drop-after'));
+        trackItem.classList.add(after ? 'drop-after' : 'drop-before');
+    }
+
+    handleTrackDrop(e) {
+        const trackItem = e.target.closest('.track-item');
+        if (this.draggedTrackIndex === null || !trackItem) return;
+        e.preventDefault();
+        const from = this.draggedTrackIndex;
+        const over = Array.from(this.trackList.children).indexOf(trackItem);
+        const after = trackItem.classList.contains('drop-after');
+        // dropping after an item above the dragged one (or before one below) lands next to it
+        let to = after ? over + 1 : over;
+        if (to > from) to--;
+        this.clearDragState();
+        this.moveTrack(from, to);
+    }
+
+    clearDragState() {
+        this.draggedTrackIndex = null;
+        this.trackList.querySelectorAll('.dragging, .drop-before, .drop-after').forEach(item =>
+            item.classList.remove('dragging', 'drop-before', 'drop-after'));
+    }
+
+    /*
+    sharing:
+    exports use the original file name for imported tracks, since their
+    blob URLs mean nothing on another machine; on import the same rules
+    find them again in the receiver's library.
+    */
+    exportPlaylist(format) {
+        const playlist = this.getActivePlaylist();
+        const entries = this.tracks.map(track => ({
+            title: track.title,
+            artist: track.artist || '',
+            duration: track.duration || null,
+            location: track.fileName || track.src
+        }));
+        const baseName = playlist.name.replace(/[\\/:*?"<>|]+/g, '_');
+
+        if (format === 'json') {
+            const data = { format: PLAYLIST_FORMAT, version: 1, name: playlist.name, tracks: entries };
+            downloadText(`${baseName}.json`, JSON.stringify(data, null, 2), 'application/json');
+        } else {
+            const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+            entries.forEach(entry => {
+                const label = entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+                lines.push(`#EXTINF:${Math.round(entry.duration || -1)},${label}`, entry.location);
+            });
+            downloadText(`${baseName}.m3u8`, lines.join('\n') + '\n', 'audio/x-mpegurl');
+        }
+    }
+
+    async importPlaylist(file) {
+        let parsed;
+        try {
+            const text = await file.text();
+            parsed = /\.json$/i.test(file.name) || text.trim().startsWith('{') ?
+                parsePlaylistJson(text) : parseM3u(text);
+        } catch (e) {
+            this.importStatus.textContent = `Could not read ${file.name}.`;
+            return;
+        }
+
+        const found = parsed.entries.map(entry => this.resolvePlaylistEntry(entry)).filter(Boolean);
+        const missing = parsed.entries.length - found.length;
+        // an entry listed twice is kept once; track keys have to be unique within a playlist
+        const keys = Array.from(new Set(found));
+        const repeated = found.length - keys.length;
+        const playlist = this.createPlaylist(parsed.name || file.name.replace(/\.[^.]+$/, ''), keys);
+        const notes = [
+            missing > 0 ? `${missing} not found` : '',
+            repeated > 0 ? `${repeated} listed more than once` : ''
+        ].filter(Boolean);
+        this.importStatus.textContent = `Imported "${playlist.name}" with ${keys.length} track${keys.length === 1 ? '' : 's'}` +
+            (notes.length > 0 ? `, ${notes.join(', ')}.` : '.');
+    }
+
+    // location first, then file name, then title; reachable URLs become new tracks
+    resolvePlaylistEntry(entry) {
+        const tracks = Array.from(this.catalog.values());
+        const location = entry.location;
+        const fileName = location ? fileNameOf(location) : '';
+        const title = entry.title.toLowerCase();
+        const match = tracks.find(track => location && track.src === location) ||
+            tracks.find(track => fileName && fileNameOf(track.fileName || track.src) === fileName) ||
+            tracks.find(track => title && track.title.toLowerCase() === title);
+        if (match) return match.key;
+
+        // local paths from another machine can't be opened by the browser
+        if (!location || /^(file:|[a-z]:\\|\/)/i.test(location) || !AUDIO_EXTENSIONS.test(location.split(/[?#]/)[0])) {
+            return null;
+        }
+        const track = {
+            key: location,
+            src: location,
+            title: entry.title || fileNameOf(location),
+            artist: entry.artist,
+            duration: entry.duration
+        };
+        this.addRemoteTrack(track);
+        return track.key;
+    }
+
+    addRemoteTrack(track) {
+        if (!this.catalog.has(track.key)) {
+            this.catalog.set(track.key, {
+                key: track.key,
+                src: track.key,
+                title: track.title,
+                artist: track.artist || '',
+                duration: Number.isFinite(track.duration) ? track.duration : null
+            });
+        }
+        if (!this.remoteTracks.some(remote => remote.key === track.key)) {
+            this.remoteTracks.push(track);
+        }
+    }
+
+    /*
+    imported tracks:
+    the library is read once at startup and every import is written to it
+    straight away. without IndexedDB, imports still play for this session.
+    */
+    async loadLibrary() {
+        if (!this.features.library) return;
+        let records;
+        try {
+            records = await this.library.getAll();
+        } catch (e) {
+            console.log('Track library unavailable:', e.message);
+            return;
+        }
+        records.forEach(record => this.addToCatalog(record));
+        // tracks no playlist refers to (saved before playlists existed) join the first one
+        records.map(record => `library:${record.id}`)
+            .filter(key => !this.playlists.some(playlist => playlist.tracks.includes(key)))
+            .forEach(key => this.playlists[0].tracks.push(key));
+        this.refreshTracks(this.currentTrackIndex);
+
+        if (this.savedPlayback && !this.isPlaying) {
+            this.restorePlayback(this.savedPlayback);
+        }
+        this.savedPlayback = null;
+    }
+
+    async importFiles(files) {
+        const audioFiles = files.filter(isAudioFile)
+            .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+        if (audioFiles.length === 0) {
+            this.importStatus.textContent = 'No audio files found.';
+            return;
+        }
+
+        const playlist = this.getActivePlaylist();
+        for (const [i, file] of audioFiles.entries()) {
+            this.importStatus.textContent = `Importing ${i + 1} of ${audioFiles.length}...`;
+            const tags = await readAudioTags(file);
+            const record = {
+                id: createId(),
+                title: tags.title || file.name.replace(/\.[^.]+$/, ''),
+                artist: tags.artist || '',
+                duration: tags.duration || await probeDuration(file),
+                cover: tags.cover || null,
+                file,
+                addedAt: Date.now() + i
+            };
+            try {
+                await this.library.put(record);
+            } catch (e) {
+                console.log('Track kept for this session only:', e.message);
+            }
+            playlist.tracks.push(this.addToCatalog(record));
+        }
+
+        this.refreshTracks(this.currentTrackIndex);
+        this.importStatus.textContent = `Added ${audioFiles.length} track${audioFiles.length === 1 ? '' : 's'}.`;
+    }
+
+    // the files added before the failure stay in the playlist
+    reportImportError(error) {
+        console.log('Import failed:', error.message);
+        this.refreshTracks(this.currentTrackIndex);
+        this.importStatus.textContent = `Import stopped: ${error.message}`;
+    }
+
+    addToCatalog(record) {
+        const key = `library:${record.id}`;
+        this.catalog.set(key, {
+            key,
+            src: URL.createObjectURL(record.file),
+            title: record.title,
+            artist: record.artist,
+            duration: record.duration,
+            coverUrl: record.cover ? URL.createObjectURL(record.cover) : null,
+            fileName: record.file.name,
+            libraryId: record.id
+        });
+        return key;
+    }
+
+    createTrackElement(track) {
+        const item = document.createElement('li');
+        item.className = 'track-item';
+        item.dataset.src = track.src;
+        item.dataset.title = track.title;
+        item.draggable = true;
+        item.tabIndex = -1;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+        if (this.unavailableTracks.has(track.key)) {
+            item.classList.add('unavailable');
+            item.title = `${this.describeTrackError(track)} Click to try again.`;
+        }
+
+        if (track.coverUrl) {
+            const cover = document.createElement('img');
+            cover.className = 'track-cover';
+            cover.src = track.coverUrl;
+            cover.alt = '';
+            item.appendChild(cover);
+        }
+        const title = document.createElement('strong');
+        title.textContent = track.title;
+        item.appendChild(title);
+
+        const details = [track.artist, track.duration ? this.formatTime(track.duration) : '']
+            .filter(Boolean).join(' · ');
+        if (details) {
+            const meta = document.createElement('span');
+            meta.className = 'track-meta';
+            meta.textContent = details;
+            item.appendChild(meta);
+        }
+        if (this.isSavedOffline(track)) {
+            this.setOfflineBadge(item, true);
+        }
+        return item;
+    }
+
+    /*
+    offline:
+    registration only works over http(s). an updated worker waits until the
+    user agrees to reload, so a page never runs against a newer shell.
+    */
+    registerServiceWorker() {
+        if (!this.features.offline) return;
+        this.updateNetworkStatus();
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'track-cached') this.refreshOfflineStatus();
+        });
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadingForUpdate) location.reload();
+        });
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.offerUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // with no controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.offerUpdate(worker);
+                    }
+                });
+            });
+        }).catch(e => console.log('Offline support unavailable:', e.message));
+    }
+
+    offerUpdate(worker) {
+        this.showToast('A new version of Serenity is ready.', {
+            label: 'Reload',
+            handler: () => {
+                this.reloadingForUpdate = true;
+                worker.postMessage({ type: 'skip-waiting' });
+            }
+        });
+    }
+
+    // absolute url of a bundled track, or null for imported and remote ones
+    getMusicUrl(track) {
+        const url = new URL(track.src, location.href);
+        const musicRoot = new URL(MUSIC_PATH, location.href);
+        return url.origin === musicRoot.origin && url.pathname.startsWith(musicRoot.pathname) ? url.href : null;
+    }
+
+    isSavedOffline(track) {
+        return track.key.startsWith('library:') || this.offlineTracks.has(track.key);
+    }
+
+    setOfflineBadge(item, saved) {
+        item.classList.toggle('saved-offline', saved);
+        let badge = item.querySelector('.track-offline');
+        if (saved && !badge) {
+            badge = document.createElement('span');
+            badge.className = 'track-offline';
+            badge.title = 'Available offline';
+            badge.textContent = 'offline ✓';
+            item.appendChild(badge);
+        } else if (!saved && badge) {
+            badge.remove();
+        }
+    }
+
+    async refreshOfflineStatus() {
+        if (!this.features.offline || !('caches' in window)) return;
+        let cache;
+        try {
+            cache = await caches.open(MUSIC_CACHE);
+        } catch (e) {
+            return; // storage is blocked, e.g. in some private windows
+        }
+        await Promise.all(this.tracks.map(async track => {
+            const url = this.getMusicUrl(track);
+            if (!url) return;
+            if (await cache.match(url)) {
+                this.offlineTracks.add(track.key);
+            } else {
+                this.offlineTracks.delete(track.key);
+            }
+        }));
+        this.tracks.forEach(track => {
+            if (track.element) this.setOfflineBadge(track.element, this.isSavedOffline(track));
+        });
+    }
+
+    // one track at a time, so a slow connection isn't flooded
+    async downloadPlaylist() {
+        if (!('caches' in window)) {
+            this.offlineStatus.textContent = 'This browser cannot save tracks for offline use.';
+            return;
+        }
+        const pending = this.tracks.filter(track => this.getMusicUrl(track) && !this.isSavedOffline(track));
+        const remote = this.tracks.filter(track => !this.getMusicUrl(track) && !this.isSavedOffline(track));
+        if (pending.length === 0) {
+            this.offlineStatus.textContent = remote.length > 0
+                ? 'Tracks from other sites cannot be saved; everything else is available offline.'
+                : 'This playlist is already available offline.';
+            return;
+        }
+
+        this.playlistDownload.disabled = true;
+        let failed = 0;
+        try {
+            const cache = await caches.open(MUSIC_CACHE);
+            for (let i = 0; i < pending.length; i++) {
+                this.offlineStatus.textContent = `Saving ${i + 1} of ${pending.length}...`;
+                try {
+                    await cache.add(this.getMusicUrl(pending[i]));
+                } catch (e) {
+                    failed++;
+                }
+            }
+        } catch (e) {
+            failed = pending.length;
+        }
+        this.playlistDownload.disabled = false;
+        await this.refreshOfflineStatus();
+
+        const saved = pending.length - failed;
+        if (saved === 0) {
+            this.offlineStatus.textContent = `Could not download ${failed === 1 ? 'the track' : `any of ${failed} tracks`}.`;
+        } else {
+            this.offlineStatus.textContent = `Saved ${saved} track${saved === 1 ? '' : 's'} for offline listening` +
+                (failed > 0 ? `; ${failed} could not be downloaded.` : '.');
+        }
+    }
+
+    updateNetworkStatus() {
+        const offline = !navigator.onLine;
+        this.trackList.classList.toggle('offline', offline);
+        if (offline) {
+            this.offlineStatus.textContent = 'You are offline. Tracks marked "offline ✓" will still play.';
+        } else if (this.offlineStatus.textContent.startsWith('You are offline')) {
+            this.offlineStatus.textContent = '';
+        }
+    }
+
+    // folders dropped on the page are walked recursively
+    async collectDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files);
+        }
+
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) {
+                        await walk(child);
+                    }
+                } while (batch.length > 0);
+            }
+        };
+        for (const entry of entries) {
+            await walk(entry);
+        }
+        return files;
+    }
+
+    loadTrack(index, rememberHistory = true) {
+        if (index >= 0 && index < this.tracks.length) {
+            if (rememberHistory && index !== this.currentTrackIndex) {
+                this.pushHistory(this.currentTrackIndex);
+            }
+            this.currentTrackIndex = index;
+            this.syncQueuePosition();
+            const track = this.tracks[index];
+            
+            // update audio source and track info; a deck that already buffered
+            // this track (see prepareNextTrack) keeps its data and just rewinds
+            if (this.audio.dataset.src !== track.src) {
+                this.audio.src = track.src;
+                this.audio.dataset.src = track.src;
+            } else {
+                this.audio.currentTime = 0;
+            }
+            this.audio.loop = this.shouldLoopTrack();
+            this.trackTitle.textContent = track.title;
+            this.renderTrackMarks();
+            this.emit('trackchange', { index, track: this.describeTrack(track) });
+            
+            // update visual indicators in playlist
+            this.updateTrackSelection();
+            if (this.announceChanges) this.announceTrack(track, this.isPlaying);
+            
+            // reset progress indicators and animations
+            this.progressBar.value = 0;
+            this.progressFill.style.width = '0%';
+            this.progressFill.classList.remove('playing');
+            this.progressContainer.classList.remove('loading');
+            this.currentTimeSpan.textContent = '0:00';
+            this.progressBar.setAttribute('aria-valuetext', this.describeTime(0));
+
+            // a manual track change drops any position still waiting to be restored
+            this.pendingSeekTime = null;
+            this.clearStallWatch();
+            this.updateMediaSession(track);
+            this.scheduleSave('player');
+        }
+    }
+
+    /*
+    playback control methods:
+    core functionality with emphasis on smooth operation and
+    appropriate visual feedback for the calming user experience
+    */
+    play() {
+        if (!this.isPlaying) this.togglePlayPause();
+    }
+
+    pause() {
+        if (this.isPlaying) this.togglePlayPause();
+    }
+
+    togglePlayPause() {
+        if (this.isPlaying) {
+            this.fadeOutAndPause();
+            this.playPauseBtn.innerHTML = `<img src="${iconUrl('play')}" alt="play" width="20" height="24">`;
+            this.isPlaying = false;
+            this.setMediaPlaybackState('paused');
+            // remove playing animation from progress bar
+            this.progressFill.classList.remove('playing');
+            this.progressContainer.classList.remove('loading');
+        } else {
+            // show loading animation while starting
+            this.progressContainer.classList.add('loading');
+            this.setupAudioGraph();
+            this.cancelPauseFade();
+            if (this.audio.paused) {
+                this.setDeckGain(this.audio, 0);
+            }
+            
+            this.audio.play().then(() => {
+                this.fadeDeck(this.audio, 1, PAUSE_FADE);
+                this.playPauseBtn.innerHTML = `<img src="${iconUrl('pause')}" alt="Pause" width="20" height="20">`;
+                this.isPlaying = true;
+                this.setMediaPlaybackState('playing');
+                // add playing animation to progress bar
+                this.progressFill.classList.add('playing');
+                this.progressContainer.classList.remove('loading');
+            }).catch(e => {
+                console.log('Playback prevented by browser policy');
+                this.progressContainer.classList.remove('loading');
+            });
+        }
+    }
+
+    playNext() {
+        // tracks that failed to load are passed over; the step limit keeps a
+        // playlist with nothing playable from going round forever
+        for (let step = 0; step < this.queue.length; step++) {
+            if (this.queuePosition < this.queue.length - 1) {
+                this.queuePosition++;
+            } else {
+                // end of the queue: a shuffled queue gets a fresh order so every
+                // track plays once more before any of them repeats
+                if (this.isShuffled) {
+                    this.queue = this.upcomingQueue || this.createShuffledQueue(this.currentTrackIndex);
+                }
+                this.queuePosition = 0;
+            }
+            this.upcomingQueue = null;
+            if (!this.isUnavailable(this.queue[this.queuePosition])) break;
+        }
+        this.loadTrack(this.queue[this.queuePosition]);
+        if (this.isPlaying) {
+            this.resumePlayback();
+        }
+    }
+
+    playPrevious() {
+        let prevIndex;
+        // go back to what actually played, not what sits before it in the list
+        while (this.history.length > 0 && prevIndex === undefined) {
+            const index = this.history.pop();
+            if (!this.isUnavailable(index)) prevIndex = index;
+        }
+        if (prevIndex === undefined) {
+            let prevPosition = this.queuePosition;
+            for (let step = 0; step < this.queue.length; step++) {
+                prevPosition = prevPosition === 0 ? this.queue.length - 1 : prevPosition - 1;
+                if (!this.isUnavailable(this.queue[prevPosition])) break;
+            }
+            prevIndex = this.queue[prevPosition];
+        }
+        this.loadTrack(prevIndex, false);
+        if (this.isPlaying) {
+            this.resumePlayback();
+        }
+    }
+
+    /*
+    play queue:
+    the queue is the list of track indices in the order they will play,
+    either the playlist order or a Fisher-Yates shuffle of it. the history
+    stack remembers every track that was left so previous can retrace them.
+    */
+    buildQueue() {
+        const order = this.tracks.map((track, index) => index);
+        this.queue = this.isShuffled ?
+            this.createShuffledQueue(null, this.currentTrackIndex) : order;
+        this.upcomingQueue = null;
+        this.syncQueuePosition();
+    }
+
+    // lead is placed first (the track playing now); avoid keeps the track that
+    // just finished from opening the next round
+    createShuffledQueue(avoid = null, lead = null) {
+        const order = this.tracks.map((track, index) => index)
+            .filter(index => index !== lead);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        if (lead !== null && lead < this.tracks.length) {
+            order.unshift(lead);
+        } else if (avoid !== null && order.length > 1 && order[0] === avoid) {
+            const swap = 1 + Math.floor(Math.random() * (order.length - 1));
+            [order[0], order[swap]] = [order[swap], order[0]];
+        }
+        return order;
+    }
+
+    restoreQueue(keys) {
+        const order = keys.map(key => this.tracks.findIndex(track => track.key === key));
+        const isPermutation = order.length === this.tracks.length &&
+            new Set(order).size === order.length && !order.includes(-1);
+        if (isPermutation) {
+            this.queue = order;
+            this.syncQueuePosition();
+        }
+    }
+
+    // new tracks go to the end of a plain queue, or somewhere in the
+    // not-yet-played part of a shuffled one
+    addToQueue(indices) {
+        indices.forEach(index => {
+            if (this.isShuffled) {
+                const position = this.queuePosition + 1 +
+                    Math.floor(Math.random() * (this.queue.length - this.queuePosition));
+                this.queue.splice(position, 0, index);
+            } else {
+                this.queue.push(index);
+            }
+        });
+        this.upcomingQueue = null;
+    }
+
+    // the track playNext would load, without moving the queue; the next
+    // shuffle round is drawn here already so a preloaded track stays valid
+    peekNextIndex() {
+        if (this.queuePosition < this.queue.length - 1) {
+            return this.queue[this.queuePosition + 1];
+        }
+        if (this.isShuffled) {
+            this.upcomingQueue = this.upcomingQueue || this.createShuffledQueue(this.currentTrackIndex);
+            return this.upcomingQueue[0];
+        }
+        return this.queue[0];
+    }
+
+    isLastInQueue() {
+        return this.queuePosition === this.queue.length - 1;
+    }
+
+    syncQueuePosition() {
+        const position = this.queue.indexOf(this.currentTrackIndex);
+        if (position !== -1) {
+            this.queuePosition = position;
+        }
+    }
+
+    pushHistory(index) {
+        this.history.push(index);
+        if (this.history.length > MAX_HISTORY) {
+            this.history.shift();
+        }
+    }
+
+    toggleShuffle() {
+        this.isShuffled = !this.isShuffled;
+        this.buildQueue();
+        // the pressed look comes from the stylesheet, so it follows the theme
+        this.shuffleBtn.setAttribute('aria-pressed', String(this.isShuffled));
+        this.scheduleSave('player');
+    }
+
+    // the repeat button steps through off -> all -> one -> off
+    cycleRepeatMode() {
+        const next = REPEAT_MODES[(REPEAT_MODES.indexOf(this.repeatMode) + 1) % REPEAT_MODES.length];
+        this.setRepeatMode(next);
+    }
+
+    setRepeatMode(mode) {
+        this.repeatMode = mode;
+        // native looping restarts the same deck without a gap
+        this.audio.loop = this.shouldLoopTrack();
+        this.repeatBtn.title = `Repeat: ${mode}`;
+        this.repeatBadge.textContent = mode === 'one' ? '1' : 'all';
+        this.repeatBadge.hidden = mode === 'off';
+        this.repeatBtn.setAttribute('aria-pressed', String(mode !== 'off'));
+        this.scheduleSave('player');
+    }
+
+    /*
+    unavailable tracks:
+    a track whose file is missing, can't be decoded or stops streaming is
+    marked in the list and skipped. when nothing in the playlist can play,
+    playback stops instead of cycling through failures.
+    */
+    handleTrackError(deck) {
+        const track = this.tracks.find(candidate => candidate.src === deck.dataset.src);
+        if (!track) return;
+        this.markUnavailable(track);
+
+        if (deck !== this.audio) {
+            // the track failed while buffering ahead; playNext will pass over it
+            deck.removeAttribute('src');
+            delete deck.dataset.src;
+            return;
+        }
+        this.clearStallWatch();
+        const wasPlaying = this.isPlaying || !deck.paused;
+        if (this.tracks.every(candidate => this.unavailableTracks.has(candidate.key))) {
+            if (this.isPlaying) this.togglePlayPause();
+            this.progressContainer.classList.remove('loading');
+            this.showToast(`None of the tracks in "${this.getActivePlaylist().name}" could be played.`);
+            return;
+        }
+
+        this.showToast(`${this.describeTrackError(track)} Skipping to the next track.`);
+        this.playNext();
+        // play() on the failed track was rejected, so the new one has to be started
+        if (wasPlaying && !this.isPlaying) this.togglePlayPause();
+    }
+
+    // keeps playback going after a track change. every rejection is handled:
+    // a track that fails to load is skipped by handleTrackError, and a start
+    // the browser refuses leaves the player showing as paused
+    resumePlayback() {
+        this.audio.play().catch(e => {
+            if (e.name === 'NotAllowedError' && this.isPlaying) this.togglePlayPause();
+        });
+    }
+
+    markUnavailable(track) {
+        this.unavailableTracks.add(track.key);
+        track.element.classList.add('unavailable');
+        track.element.title = `${this.describeTrackError(track)} Click to try again.`;
+    }
+
+    isRemoteTrack(track) {
+        return this.remoteTracks.some(remote => remote.key === track.key);
+    }
+
+    // the browser doesn't say why a load failed; for other sites a missing CORS header is the usual cause
+    describeTrackError(track) {
+        if (!this.isRemoteTrack(track)) return `Couldn't play "${track.title}".`;
+        let host = track.src;
+        try {
+            host = new URL(track.src).host;
+        } catch (e) {
+            // keep the full address
+        }
+        return `Couldn't play "${track.title}" from ${host}. The site may not allow playback from other pages (CORS).`;
+    }
+
+    markAvailable(track) {
+        if (!track || !this.unavailableTracks.delete(track.key)) return;
+        track.element.classList.remove('unavailable');
+        track.element.removeAttribute('title');
+    }
+
+    isUnavailable(index) {
+        const track = this.tracks[index];
+        return Boolean(track) && this.unavailableTracks.has(track.key);
+    }
+
+    watchForStall() {
+        if (this.audio.paused || this.stallTimeout) return;
+        this.stallTimeout = setTimeout(() => {
+            this.stallTimeout = null;
+            if (!this.audio.paused && this.audio.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) {
+                this.handleTrackError(this.audio);
+            }
+        }, STALL_TIMEOUT);
+    }
+
+    clearStallWatch() {
+        clearTimeout(this.stallTimeout);
+        this.stallTimeout = null;
+    }
+
+    // short status messages that fade out on their own
+    // action is an optional { label, handler } shown as a button, e.g. undo
+    showToast(message, action = null) {
+        this.toastText.textContent = message;
+        this.toastAction.hidden = !action;
+        this.toastAction.onclick = null;
+        if (action) {
+            this.toastAction.textContent = action.label;
+            this.toastAction.onclick = () => {
+                this.hideToast();
+                action.handler();
+            };
+        }
+        this.toast.hidden = false;
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => this.hideToast(), action ? 8000 : 5000);
+    }
+
+    hideToast() {
+        clearTimeout(this.toastTimeout);
+        this.toast.hidden = true;
+        this.toastAction.onclick = null;
+    }
+
+    // spoken by screen readers through the live region; it only speaks when
+    // its text changes, so the same message twice is cleared and set again
+    announce(message) {
+        this.announcer.textContent = '';
+        clearTimeout(this.announceTimeout);
+        this.announceTimeout = setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 100);
+    }
+
+    /*
+    media session:
+    hands the current track and the transport controls to the browser, so
+    media keys, headset buttons and the lock screen drive the player.
+    */
+    setupMediaSession() {
+        if (!this.features.mediaSession || !('mediaSession' in navigator)) return;
+        const handlers = {
+            play: () => this.play(),
+            pause: () => this.pause(),
+            stop: () => this.pause(),
+            previoustrack: () => this.playPrevious(),
+            nexttrack: () => this.playNext(),
+            seekbackward: (details) => this.seekBy(-(details.seekOffset || SEEK_STEP)),
+            seekforward: (details) => this.seekBy(details.seekOffset || SEEK_STEP),
+            seekto: (details) => this.seekTo(details.seekTime)
+        };
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (e) {
+                // older browsers reject actions they don't know; the rest still work
+            }
+        });
+    }
+
+    updateMediaSession(track) {
+        if (!this.features.mediaSession || !('mediaSession' in navigator) || !window.MediaMetadata) return;
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: track.title,
+            artist: track.artist || 'Serenity',
+            album: this.getActivePlaylist().name,
+            artwork: track.coverUrl ? [{ src: track.coverUrl }] : []
+        });
+    }
+
+    setMediaPlaybackState(state) {
+        if (this.features.mediaSession && 'mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = state;
+        }
+    }
+
+    updateMediaPosition() {
+        const { duration, currentTime, playbackRate } = this.audio;
+        if (!this.features.mediaSession || !('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+        if (!Number.isFinite(duration) || duration <= 0) return;
+        navigator.mediaSession.setPositionState({
+            duration,
+            playbackRate,
+            position: Math.min(currentTime, duration)
+        });
+    }
+
+    /*
+    keyboard shortcuts:
+    keys typed into fields are left alone, and Space or Enter on a focused
+    button keep activating that button.
+    */
+    getDefaultShortcuts() {
+        const shortcuts = {};
+        Object.entries(SHORTCUT_ACTIONS).forEach(([action, { key }]) => {
+            shortcuts[action] = key;
+        });
+        return shortcuts;
+    }
+
+    handleShortcut(e) {
+        if (this.rebindingAction) {
+            this.finishRebinding(e);
+            return;
+        }
+        if (!this.shortcutOverlay.hidden) {
+            if (e.key === 'Escape') this.closeShortcutHelp();
+            return;
+        }
+        if (e.defaultPrevented || e.target.closest('input, select, textarea, [contenteditable]')) return;
+        if (e.target.closest('button, summary, a') && (e.code === 'Space' || e.code === 'Enter')) return;
+
+        const shortcut = shortcutFromEvent(e);
+        const action = Object.keys(this.shortcuts).find(name => this.shortcuts[name] === shortcut);
+        if (!action) return;
+        e.preventDefault();
+        this.runShortcut(action);
+    }
+
+    runShortcut(action) {
+        const handlers = {
+            playPause: () => this.togglePlayPause(),
+            next: () => this.playNext(),
+            previous: () => this.playPrevious(),
+            seekForward: () => this.seekBy(SEEK_STEP),
+            seekBackward: () => this.seekBy(-SEEK_STEP),
+            volumeUp: () => this.changeVolume(VOLUME_STEP),
+            volumeDown: () => this.changeVolume(-VOLUME_STEP),
+            mute: () => this.toggleMute(),
+            shuffle: () => this.toggleShuffle(),
+            repeat: () => this.cycleRepeatMode(),
+            timer: () => (this.timerRunning ? this.pauseTimer() : this.startTimer()),
+            help: () => this.openShortcutHelp()
+        };
+        handlers[action]();
+    }
+
+    openShortcutHelp() {
+        this.focusBeforeHelp = document.activeElement;
+        this.renderShortcutList();
+        this.shortcutOverlay.hidden = false;
+        this.shortcutClose.focus();
+    }
+
+    closeShortcutHelp() {
+        this.rebindingAction = null;
+        this.shortcutOverlay.hidden = true;
+        if (this.focusBeforeHelp && this.focusBeforeHelp.focus) {
+            this.focusBeforeHelp.focus();
+        }
+        this.focusBeforeHelp = null;
+    }
+
+    renderShortcutList() {
+        this.shortcutList.replaceChildren(...Object.entries(SHORTCUT_ACTIONS).map(([action, { label }]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = label;
+            const binding = document.createElement('td');
+            const keyButton = document.createElement('button');
+            keyButton.className = 'shortcut-key';
+            keyButton.dataset.action = action;
+            keyButton.textContent = formatShortcut(this.shortcuts[action]);
+            keyButton.setAttribute('aria-label', `${label}: ${keyButton.textContent}. Press to change`);
+            binding.appendChild(keyButton);
+            row.append(name, binding);
+            return row;
+        }));
+    }
+
+    startRebinding(action) {
+        this.rebindingAction = action;
+        this.renderShortcutList();
+        const keyButton = this.shortcutList.querySelector(`[data-action="${action}"]`);
+        keyButton.classList.add('listening');
+        keyButton.textContent = 'Press a key...';
+        keyButton.focus();
+        this.shortcutHint.textContent = `Press the new key for "${SHORTCUT_ACTIONS[action].label}", or Escape to cancel.`;
+    }
+
+    // a key that already belongs to another action swaps with it
+    finishRebinding(e) {
+        // wait for the real key when only a modifier is down
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+        const action = this.rebindingAction;
+        this.rebindingAction = null;
+        this.shortcutHint.textContent = SHORTCUT_HINT;
+
+        // Tab stays free for moving focus, so it cancels like Escape without re-rendering
+        if (e.key === 'Tab') {
+            const keyButton = this.shortcutList.querySelector(`[data-action="${action}"]`);
+            keyButton.classList.remove('listening');
+            keyButton.textContent = formatShortcut(this.shortcuts[action]);
+            return;
+        }
+        e.preventDefault();
+        if (e.key !== 'Escape') {
+            const shortcut = shortcutFromEvent(e);
+            const taken = Object.keys(this.shortcuts).find(name => name !== action && this.shortcuts[name] === shortcut);
+            if (taken) {
+                this.shortcuts[taken] = this.shortcuts[action];
+                this.shortcutHint.textContent = `"${SHORTCUT_ACTIONS[taken].label}" moved to ${formatShortcut(this.shortcuts[taken])}.`;
+            }
+            this.shortcuts[action] = shortcut;
+            this.scheduleSave('shortcuts');
+        }
+        this.renderShortcutList();
+        this.shortcutList.querySelector(`[data-action="${action}"]`).focus();
+    }
+
+    resetShortcuts() {
+        this.rebindingAction = null;
+        this.shortcuts = this.getDefaultShortcuts();
+        this.shortcutHint.textContent = SHORTCUT_HINT;
+        this.renderShortcutList();
+        this.scheduleSave('shortcuts');
+    }
+
+    // saved bindings that clash with each other fall back to the defaults
+    restoreShortcuts(saved) {
+        const shortcuts = this.getDefaultShortcuts();
+        Object.keys(shortcuts).forEach(action => {
+            if (typeof saved[action] === 'string' && saved[action] !== '') {
+                shortcuts[action] = saved[action];
+            }
+        });
+        const bindings = Object.values(shortcuts);
+        if (new Set(bindings).size === bindings.length) {
+            this.shortcuts = shortcuts;
+        }
+    }
+
+    /*
+    progress and time management:
+    smooth, responsive progress tracking that provides users with
+    clear feedback about track position without being distracting
+    */
+    seekTrack() {
+        const progress = this.progressBar.value;
+        const seekTime = (progress / 100) * this.audio.duration;
+        if (!isNaN(seekTime)) {
+            this.audio.currentTime = seekTime;
+            this.updateMediaPosition();
+        }
+    }
+
+    seekTo(seconds) {
+        if (!this.audio.duration) return;
+        this.audio.currentTime = Math.min(this.audio.duration, Math.max(0, seconds));
+        this.updateProgress();
+        this.updateMediaPosition();
+    }
+
+    seekBy(seconds) {
+        this.seekTo(this.audio.currentTime + seconds);
+    }
+
+    /*
+    speed, loops and bookmarks:
+    load() resets playbackRate to defaultPlaybackRate, so both are set and
+    the rate carries over to every track either deck loads.
+    */
+    setPlaybackRate(rate) {
+        this.playbackRate = Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, rate));
+        this.decks.forEach(deck => {
+            deck.defaultPlaybackRate = this.playbackRate;
+            deck.playbackRate = this.playbackRate;
+            // on by default; the prefixed names are for older Firefox and Safari
+            ['preservesPitch', 'mozPreservesPitch', 'webkitPreservesPitch'].forEach(name => {
+                if (name in deck) deck[name] = true;
+            });
+        });
+        this.rateSlider.value = Math.round(this.playbackRate * 100);
+        this.rateDisplay.textContent = `${this.playbackRate.toFixed(2)}×`;
+        this.rateSlider.setAttribute('aria-valuetext', `${this.playbackRate} times speed`);
+        this.updateMediaPosition();
+        this.scheduleSave('player');
+    }
+
+    getCurrentMarks(create = false) {
+        const track = this.tracks[this.currentTrackIndex];
+        if (!track) return null;
+        if (!this.trackMarks[track.key] && create) {
+            this.trackMarks[track.key] = { loop: null, bookmarks: [] };
+        }
+        return this.trackMarks[track.key] || null;
+    }
+
+    // drops a track's entry once it has neither a loop nor bookmarks
+    saveCurrentMarks() {
+        const track = this.tracks[this.currentTrackIndex];
+        const marks = this.getCurrentMarks();
+        if (track && marks && !marks.loop && marks.bookmarks.length === 0) {
+            delete this.trackMarks[track.key];
+        }
+        this.renderTrackMarks();
+        this.scheduleSave('marks');
+    }
+
+    getActiveLoop() {
+        const marks = this.getCurrentMarks();
+        return marks && marks.loop && marks.loop.a !== null && marks.loop.b !== null ? marks.loop : null;
+    }
+
+    // setting a point past the other one starts the loop over from the new point
+    setLoopPoint(point) {
+        if (!this.audio.duration) return;
+        const marks = this.getCurrentMarks(true);
+        const loop = marks.loop || { a: null, b: null };
+        loop[point] = this.audio.currentTime;
+        if (loop.a !== null && loop.b !== null && loop.b - loop.a < MIN_LOOP_LENGTH) {
+            loop[point === 'a' ? 'b' : 'a'] = null;
+        }
+        marks.loop = loop;
+        this.saveCurrentMarks();
+    }
+
+    clearLoop() {
+        const marks = this.getCurrentMarks();
+        if (!marks) return;
+        marks.loop = null;
+        this.saveCurrentMarks();
+    }
+
+    // timeupdate fires a few times a second, close enough for ambient sections
+    checkLoop() {
+        const loop = this.getActiveLoop();
+        if (loop && this.audio.currentTime >= loop.b) {
+            this.audio.currentTime = loop.a;
+        }
+    }
+
+    addBookmark(name) {
+        if (!this.audio.duration) return;
+        const time = this.audio.currentTime;
+        const marks = this.getCurrentMarks(true);
+        marks.bookmarks.push({
+            id: createId(),
+            name: name.trim() || `Bookmark at ${this.formatTime(time)}`,
+            time
+        });
+        marks.bookmarks.sort((a, b) => a.time - b.time);
+        this.bookmarkName.value = '';
+        this.saveCurrentMarks();
+    }
+
+    removeBookmark(id) {
+        const marks = this.getCurrentMarks();
+        if (!marks) return;
+        marks.bookmarks = marks.bookmarks.filter(bookmark => bookmark.id !== id);
+        this.saveCurrentMarks();
+    }
+
+    renderTrackMarks() {
+        const marks = this.getCurrentMarks() || { loop: null, bookmarks: [] };
+        const loop = marks.loop || { a: null, b: null };
+        const duration = this.audio.duration;
+        const position = (time) => `${Math.min(100, (time / duration) * 100)}%`;
+
+        const overlays = [];
+        if (duration) {
+            if (loop.a !== null && loop.b !== null) {
+                const range = document.createElement('div');
+                range.className = 'loop-range';
+                range.style.left = position(loop.a);
+                range.style.width = `${Math.min(100, ((loop.b - loop.a) / duration) * 100)}%`;
+                overlays.push(range);
+            }
+            [loop.a, loop.b].filter(time => time !== null).forEach(time => {
+                const marker = document.createElement('div');
+                marker.className = 'loop-marker';
+                marker.style.left = position(time);
+                overlays.push(marker);
+            });
+            marks.bookmarks.forEach(bookmark => {
+                const marker = document.createElement('div');
+                marker.className = 'bookmark-marker';
+                marker.style.left = position(bookmark.time);
+                overlays.push(marker);
+            });
+        }
+        this.progressMarks.replaceChildren(...overlays);
+
+        this.loopA.setAttribute('aria-pressed', String(loop.a !== null));
+        this.loopB.setAttribute('aria-pressed', String(loop.b !== null));
+        this.loopClear.disabled = loop.a === null && loop.b === null;
+        if (loop.a !== null && loop.b !== null) {
+            this.loopStatus.textContent = `Looping ${this.formatTime(loop.a)}–${this.formatTime(loop.b)}`;
+        } else if (loop.a !== null || loop.b !== null) {
+            this.loopStatus.textContent = `${loop.a !== null ? 'A' : 'B'} at ${this.formatTime(loop.a ?? loop.b)}`;
+        } else {
+            this.loopStatus.textContent = '';
+        }
+
+        this.bookmarkList.replaceChildren(...marks.bookmarks.map(bookmark => {
+            const item = document.createElement('li');
+            item.dataset.id = bookmark.id;
+            item.dataset.time = bookmark.time;
+            const jump = document.createElement('button');
+            jump.className = 'bookmark-jump';
+            jump.textContent = `${bookmark.name} · ${this.formatTime(bookmark.time)}`;
+            jump.title = 'Jump here';
+            const remove = document.createElement('button');
+            remove.className = 'bookmark-remove';
+            remove.textContent = '×';
+            remove.title = `Remove "${bookmark.name}"`;
+            item.append(jump, remove);
+            return item;
+        }));
+    }
+
+    updateProgress() {
+        if (this.audio.duration) {
+            const progress = (this.audio.currentTime / this.audio.duration) * 100;
+            this.progressBar.value = progress;
+            // update animated progress fill
+            this.progressFill.style.width = progress + '%';
+            this.currentTimeSpan.textContent = this.formatTime(this.audio.currentTime);
+            this.progressBar.setAttribute('aria-valuetext',
+                `${this.describeTime(this.audio.currentTime)} of ${this.describeTime(this.audio.duration)}`);
+        }
+    }
+
+    updateTotalTime() {
+        if (this.audio.duration) {
+            this.totalTimeSpan.textContent = this.formatTime(this.audio.duration);
+        }
+    }
+
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    // the same time in words, for screen readers: "3 minutes 5 seconds"
+    describeTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        const parts = [];
+        if (mins > 0) parts.push(`${mins} ${mins === 1 ? 'minute' : 'minutes'}`);
+        if (secs > 0 || mins === 0) parts.push(`${secs} ${secs === 1 ? 'second' : 'seconds'}`);
+        return parts.join(' ');
+    }
+
+    handleTrackEnd() {
+        this.emit('ended', { track: this.describeTrack(this.tracks[this.currentTrackIndex]) });
+        if (this.countSleepTrack()) {
+            // playback has stopped; the next listen starts on the following track
+            this.playNext();
+        } else if (this.repeatMode === 'one') {
+            this.audio.currentTime = 0;
+            this.resumePlayback();
+        } else if (this.repeatMode === 'off' && this.isLastInQueue()) {
+            // the queue has played through once, stop on the last track
+            this.togglePlayPause();
+        } else if (this.isNextTrackReady()) {
+            this.transitionToNext(0);
+        } else {
+            this.playNext();
+        }
+    }
 
-        // timer elements
-        this.timerDisplay = document.getElementById('timer-display');
-        this.timerStart = document.getElementById('timer-start');
-        this.timerPause = document.getElementById('timer-pause');
-        this.timerReset = document.getElementById('timer-reset');
-        this.timer60 = document.getElementById('timer-60');
-        this.timer30 = document.getElementById('timer-30');
-        this.timer15 = document.getElementById('timer-15');
+    /*
+    crossfade and gapless playback:
+    while a track plays, the one after it is buffered on the standby deck.
+    with a crossfade set, the standby deck starts that many seconds before
+    the end and the two decks trade places on equal-power gain curves;
+    without one, the buffered deck simply takes over when the track ends.
+    */
+    setupAudioGraph() {
+        if (this.audioContext) {
+            this.audioContext.resume();
+            return;
+        }
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
 
-        // todo list elements
-        this.todoInput = document.getElementById('todo-input');
-        this.todoAddBtn = document.getElementById('todo-add');
-        this.todoList = document.getElementById('todo-list');
-        this.todoCount = document.getElementById('todo-count');
+        try {
+            this.audioContext = new AudioContextClass();
+            this.masterGain = this.audioContext.createGain();
+            this.masterGain.connect(this.audioContext.destination);
+            this.decks.forEach(deck => {
+                const gain = this.audioContext.createGain();
+                this.audioContext.createMediaElementSource(deck).connect(gain);
+                gain.connect(this.masterGain);
+                this.deckGains.set(deck, gain);
+            });
+            this.setVolume(Number(this.volumeSlider.value));
+            // deck element volumes were carrying the slider level until now
+            this.decks.forEach(deck => { deck.volume = 1; });
+            this.ambient.attach(this.audioContext);
+            this.visualizer.attach(this.audioContext, this.masterGain);
+        } catch (e) {
+            // Silent fallback: plain elements still play, only without fades
+            console.log('Web Audio not available, transitions will cut');
+            this.audioContext = null;
+            this.masterGain = null;
+            this.deckGains.clear();
+        }
+    }
 
-        // player state variables
-        this.isPlaying = false;
-        this.currentTrackIndex = 0;
-        this.isShuffled = false;
-        this.isRepeating = false;
-        this.tracks = [];
-        
-        // timer state variables
-        this.timerMinutes = 60;
-        this.timerSeconds = 0;
-        this.timerInterval = null;
-        this.timerRunning = false;
+    /*
+    sleep timer:
+    a running timer is ticked once a second. the last minute before it ends
+    scales the output down linearly; when it ends playback pauses and the
+    level comes back once the pause fade has gone quiet.
+    */
+    startSleep(mode, amount) {
+        this.cancelSleep();
+        this.sleep = mode === 'minutes'
+            ? { endsAt: Date.now() + amount * 60000 }
+            : { tracksLeft: mode === 'track' ? 1 : amount };
+        this.audio.loop = this.shouldLoopTrack();
+        this.sleepInterval = setInterval(() => this.tickSleep(), 1000);
+        this.tickSleep();
+        this.updateSleepControls();
+    }
 
-        // todo List state
-        this.todos = [];
-        this.todoIdCounter = 0;
+    // seconds left, or null while more than one track remains to be played
+    getSleepRemaining() {
+        if (this.sleep.endsAt) {
+            return Math.max(0, (this.sleep.endsAt - Date.now()) / 1000);
+        }
+        const { duration, currentTime } = this.audio;
+        if (this.sleep.tracksLeft > 1 || !duration) return null;
+        return Math.max(0, duration - currentTime);
+    }
 
-        this.initializePlayer();
-        this.setupEventListeners();
-        this.loadTracks();
-        this.loadTrack(0);
+    tickSleep() {
+        const remaining = this.getSleepRemaining();
+        if (this.sleep.endsAt && remaining === 0) {
+            this.finishSleep();
+            return;
+        }
+        const fade = remaining === null ? 1 : Math.min(1, remaining / SLEEP_FADE);
+        if (fade !== this.sleepFade) {
+            this.sleepFade = fade;
+            this.applyVolume();
+        }
+        this.sleepRemaining.textContent = remaining === null
+            ? `Sleep after ${this.sleep.tracksLeft} track${this.sleep.tracksLeft === 1 ? '' : 's'}`
+            : `Sleep in ${this.formatTime(remaining)}`;
+    }
+
+    extendSleep() {
+        if (!this.sleep) return;
+        if (this.sleep.endsAt) {
+            this.sleep.endsAt = Math.max(this.sleep.endsAt, Date.now()) + SLEEP_EXTEND * 60000;
+        } else {
+            this.sleep.tracksLeft++;
+        }
+        this.tickSleep();
+    }
+
+    // called as a track finishes; true when that was the sleep timer's last one
+    countSleepTrack() {
+        if (!this.sleep || !this.sleep.tracksLeft) return false;
+        this.sleep.tracksLeft--;
+        if (this.sleep.tracksLeft > 0) {
+            this.tickSleep();
+            return false;
+        }
+        this.finishSleep();
+        return true;
+    }
+
+    finishSleep() {
+        this.stopSleepTimer();
+        if (this.isPlaying) {
+            this.togglePlayPause();
+        }
+        // the ambient layers go quiet with the music instead of playing on all night
+        const ambientOn = Object.keys(this.ambient.layers).filter(name => this.ambient.layers[name].enabled);
+        if (ambientOn.length > 0) {
+            ambientOn.forEach(name => this.ambient.setLayer(name, { enabled: false }));
+            this.renderAmbientMixer();
+            this.scheduleSave('ambient');
+        }
+        this.sleepRestoreTimeout = setTimeout(() => {
+            this.sleepRestoreTimeout = null;
+            this.sleepFade = 1;
+            this.applyVolume();
+        }, PAUSE_FADE * 1000 + 100);
+    }
+
+    cancelSleep() {
+        clearTimeout(this.sleepRestoreTimeout);
+        this.sleepRestoreTimeout = null;
+        if (this.sleep) this.stopSleepTimer();
+        if (this.sleepFade !== 1) {
+            this.sleepFade = 1;
+            this.applyVolume();
+        }
+    }
+
+    stopSleepTimer() {
+        clearInterval(this.sleepInterval);
+        this.sleepInterval = null;
+        this.sleep = null;
+        this.audio.loop = this.shouldLoopTrack();
+        this.updateSleepControls();
+    }
+
+    updateSleepControls() {
+        const running = this.sleep !== null;
+        [this.sleepMode, this.sleepAmount, this.sleepStart].forEach(control => { control.hidden = running; });
+        this.sleepRemaining.hidden = !running;
+        this.sleepCancel.hidden = !running;
+        this.sleepAmount.disabled = this.sleepMode.value === 'track';
+        if (running) {
+            this.sleepRemaining.title = this.sleep.endsAt ? `Tap to add ${SLEEP_EXTEND} minutes` : 'Tap to add a track';
+        }
+    }
+
+    // a sleep timer counting tracks needs 'ended' to fire, so repeat-one then
+    // restarts the track by hand in handleTrackEnd
+    shouldLoopTrack() {
+        return this.repeatMode === 'one' && !(this.sleep && this.sleep.tracksLeft);
     }
 
     /*
-    nitialization methods:
-    setting up the player with default values and preparing all components
-    for user interaction while maintaining the calm, focused atmosphere
+    themes:
+    only the page's own player manages the theme. the attribute on <html>
+    switches the palette in style.css. a small script in index.html sets it
+    from the saved choice before the first paint, and the player applies it
+    once restored; "auto" is checked again when the system preference
+    changes and once a minute for the night hours.
     */
-    initializePlayer() {
-        this.audio.volume = 0.7; // Default comfortable volume for study/relaxation
-        this.volumeDisplay.textContent = '70';
-        this.updateTimerDisplay();
+    setupThemes() {
+        if (!this.features.theme) return;
+        this.darkScheme = window.matchMedia('(prefers-color-scheme: dark)');
+        this.moreContrast = window.matchMedia('(prefers-contrast: more)');
+        [this.darkScheme, this.moreContrast].forEach(query => {
+            query.addEventListener('change', () => this.applyTheme());
+        });
+        setInterval(() => this.applyTheme(), 60 * 1000);
     }
 
-    setupEventListeners() {
-        // core playback controls with smooth user feedback
-        this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
-        this.prevBtn.addEventListener('click', () => this.playPrevious());
-        this.nextBtn.addEventListener('click', () => this.playNext());
-        this.shuffleBtn.addEventListener('click', () => this.toggleShuffle());
-        this.repeatBtn.addEventListener('click', () => this.toggleRepeat());
+    setTheme(theme) {
+        this.theme = theme;
+        this.themeSelect.value = theme;
+        this.applyTheme();
+        this.scheduleSave('theme');
+    }
 
-        // Progress bar interaction for seamless track navigation
-        this.progressBar.addEventListener('input', () => this.seekTrack());
-        this.progressBar.addEventListener('change', () => this.seekTrack());
+    applyTheme() {
+        if (!this.features.theme) return;
+        const hour = new Date().getHours();
+        const night = hour >= NIGHT_START || hour < NIGHT_END;
+        let resolved = this.theme;
+        if (resolved === 'auto') {
+            resolved = this.moreContrast.matches ? 'contrast' :
+                this.darkScheme.matches || night ? 'dark' : 'light';
+        }
+        // the inline script in index.html may already have set the attribute
+        if (this.appliedTheme === resolved) return;
+        this.appliedTheme = resolved;
+        const root = document.documentElement;
+        root.dataset.theme = resolved;
 
-        /*
-        volume control with real-time feedback volume:
-        the volume slider provides immediate audio and visual feedback,
-        essential for maintaining the peaceful study environment without
-        sudden volume changes that could disturb concentration.
-        */
-        this.volumeSlider.addEventListener('input', (e) => {
-            const volume = e.target.value;
-            this.audio.volume = volume / 100;
-            this.volumeDisplay.textContent = volume;
-        });
+        // colours read from the stylesheet elsewhere have to follow
+        const primary = getComputedStyle(root).getPropertyValue('--primary-earth').trim();
+        const themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor && primary) themeColor.content = primary;
+        if (this.visualizer.frame) this.visualizer.refreshColors();
+    }
 
-        // audio event listeners for responsive UI updates
-        this.audio.addEventListener('loadedmetadata', () => this.updateTotalTime());
-        this.audio.addEventListener('timeupdate', () => this.updateProgress());
-        this.audio.addEventListener('ended', () => this.handleTrackEnd());
+    // choosing a mode is a user gesture, so the audio graph can be set up here
+    setVisualizerMode(mode) {
+        if (mode !== 'off') this.setupAudioGraph();
+        this.visualizer.setMode(mode);
+        this.visualizerMode.value = mode;
+        this.scheduleSave('player');
+    }
 
-        // playlist interaction for easy track selection
-        this.trackList.addEventListener('click', (e) => {
-            if (e.target.closest('.track-item')) {
-                const trackItem = e.target.closest('.track-item');
-                const trackIndex = Array.from(this.trackList.children).indexOf(trackItem);
-                this.loadTrack(trackIndex);
-            }
-        });
+    setCrossfade(seconds) {
+        this.crossfadeSeconds = seconds;
+        this.crossfadeSlider.value = seconds;
+        this.crossfadeDisplay.textContent = `${seconds} s`;
+        this.scheduleSave('player');
+    }
 
-        /*
-        focus timer event listeners:
-        This additional feature provides Pomodoro technique support,
-        enhancing the study experience by helping users maintain
-        focused work sessions with appropriate breaks.
-        */
-        this.timerStart.addEventListener('click', () => this.startTimer());
-        this.timerPause.addEventListener('click', () => this.pauseTimer());
-        this.timerReset.addEventListener('click', () => this.resetTimer());
-        this.timer60.addEventListener('click', () => this.setTimer(60));
-        this.timer30.addEventListener('click', () => this.setTimer(30));
-        this.timer15.addEventListener('click', () => this.setTimer(15));
+    // called on every timeupdate of the active deck
+    checkTransition() {
+        const { duration, currentTime } = this.audio;
+        if (!this.isPlaying || !duration || this.repeatMode === 'one') return;
+        if (this.repeatMode === 'off' && this.isLastInQueue()) return;
+        // a looping section never reaches the end of the track
+        if (this.getActiveLoop()) return;
+        // the sleep timer's last track plays out rather than crossfading
+        if (this.sleep && this.sleep.tracksLeft === 1) return;
 
-        /*
-        todo list event listeners:
-        interactive task management integrated with the study environment.
-        users can add, complete, and delete tasks while maintaining focus.
-        */
-        this.todoAddBtn.addEventListener('click', () => this.addTodo());
-        this.todoInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.addTodo();
+        const remaining = duration - currentTime;
+        if (remaining <= PRELOAD_AHEAD + this.crossfadeSeconds) {
+            this.prepareNextTrack();
+        }
+        if (this.crossfadeSeconds > 0 && this.masterGain && remaining <= this.crossfadeSeconds &&
+            this.isNextTrackReady()) {
+            // the track is fading out rather than running to its end, but it is done all the same
+            this.emit('ended', { track: this.describeTrack(this.tracks[this.currentTrackIndex]) });
+            this.countSleepTrack();
+            this.transitionToNext(remaining);
+        }
+    }
+
+    prepareNextTrack() {
+        // the standby deck may still be fading out the previous track
+        if (this.fadeTimeout) return;
+        const next = this.tracks[this.peekNextIndex()];
+        if (next && !this.unavailableTracks.has(next.key) && this.standbyAudio.dataset.src !== next.src) {
+            this.standbyAudio.src = next.src;
+            this.standbyAudio.dataset.src = next.src;
+            this.standbyAudio.load();
+        }
+    }
+
+    isNextTrackReady() {
+        const next = this.tracks[this.peekNextIndex()];
+        return !this.fadeTimeout && next && this.standbyAudio.dataset.src === next.src;
+    }
+
+    transitionToNext(fadeSeconds) {
+        const outgoing = this.audio;
+        this.audio = this.standbyAudio;
+        this.standbyAudio = outgoing;
+
+        if (fadeSeconds > 0) {
+            this.crossfadeDecks(outgoing, this.audio, fadeSeconds);
+        } else {
+            this.setDeckGain(this.audio, 1);
+        }
+        // loads the buffered track on what is now the active deck and plays it
+        this.playNext();
+    }
+
+    crossfadeDecks(outgoing, incoming, seconds) {
+        // equal-power curves, approximated with short linear ramps
+        const steps = 16;
+        [[outgoing, Math.cos], [incoming, Math.sin]].forEach(([deck, curve]) => {
+            const gainNode = this.deckGains.get(deck);
+            const start = this.holdGain(gainNode);
+            gainNode.gain.setValueAtTime(curve(0), start);
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                gainNode.gain.linearRampToValueAtTime(curve(t * Math.PI / 2), start + t * seconds);
             }
         });
-        this.todoList.addEventListener('click', (e) => this.handleTodoClick(e));
+
+        this.fadeTimeout = setTimeout(() => {
+            this.fadeTimeout = null;
+            outgoing.pause();
+        }, seconds * 1000);
+    }
+
+    fadeDeck(deck, value, seconds) {
+        const gainNode = this.deckGains.get(deck);
+        if (!gainNode) return;
+        const now = this.holdGain(gainNode);
+        gainNode.gain.linearRampToValueAtTime(value, now + seconds);
+    }
+
+    setDeckGain(deck, value) {
+        const gainNode = this.deckGains.get(deck);
+        if (!gainNode) return;
+        gainNode.gain.setValueAtTime(value, this.holdGain(gainNode));
+    }
+
+    // stops any ramp in progress at its current level and returns the context time
+    holdGain(gainNode) {
+        const param = gainNode.gain;
+        const now = this.audioContext.currentTime;
+        if (param.cancelAndHoldAtTime) {
+            param.cancelAndHoldAtTime(now);
+        } else {
+            const value = param.value;
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(value, now);
+        }
+        return now;
+    }
+
+    // pause eases out instead of cutting; without the graph it pauses at once
+    fadeOutAndPause() {
+        const deck = this.audio;
+        this.standbyAudio.pause();
+        if (!this.deckGains.has(deck)) {
+            deck.pause();
+            return;
+        }
+        this.fadeDeck(deck, 0, PAUSE_FADE);
+        this.pauseFadeTimeout = setTimeout(() => {
+            this.pauseFadeTimeout = null;
+            deck.pause();
+        }, PAUSE_FADE * 1000);
+    }
+
+    cancelPauseFade() {
+        clearTimeout(this.pauseFadeTimeout);
+        this.pauseFadeTimeout = null;
     }
 
     /*
-    track management:
-    efficient handling of playlist data and track switching with
-    smooth transitions that don't interrupt the user's focus flow
+    focus timer functionality:
+    designed specifically for the study context.
+    this Pomodoro-style timer helps users maintain productive study sessions
+    while enjoying the relaxing background music. the timer integrates
+    seamlessly with the music player to create a complete study environment.
+    
+    design rationale: the timer addresses the specific needs of students and
+    knowledge workers who use background music for concentration. by combining
+    music playback with time management, this feature transforms a simple
+    music player into a productivity tool, perfectly aligned with the
+    relaxation/study context.
     */
-    loadTracks() {
-        const trackItems = document.querySelectorAll('.track-item');
-        this.tracks = Array.from(trackItems).map(item => ({
-            src: item.dataset.src,
-            title: item.dataset.title,
-            element: item
-        }));
+    startTimer(endsAt = null) {
+        if (!this.timerRunning && (endsAt !== null || this.timerMinutes > 0 || this.timerSeconds > 0)) {
+            this.timerEndsAt = endsAt ?? Date.now() + (this.timerMinutes * 60 + this.timerSeconds) * 1000;
+            this.timerRunning = true;
+            this.timerStart.textContent = 'Running...';
+            this.timerStart.disabled = true;
+
+            // the phase's music action runs once, when its countdown first starts
+            if (!this.phaseStarted) {
+                this.phaseStarted = true;
+                this.applyPhaseMusic(this.timerPhase);
+                if (this.timerPhase === 'work') this.beginSession();
+                const minutes = Math.max(1, Math.round((this.timerEndsAt - Date.now()) / 60000));
+                this.announce(`${POMODORO_PHASES[this.timerPhase].label} started: ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`);
+            }
+
+            this.broadcastTimer();
+            this.runCountdown();
+        }
     }
 
-    loadTrack(index) {
-        if (index >= 0 && index < this.tracks.length) {
-            this.currentTrackIndex = index;
-            const track = this.tracks[index];
-            
-            // update audio source and track info
-            this.audio.src = track.src;
-            this.trackTitle.textContent = track.title;
-            
-            // update visual indicators in playlist
-            document.querySelectorAll('.track-item').forEach(item => 
-                item.classList.remove('active'));
-            track.element.classList.add('active');
-            
-            // reset progress indicators and animations
-            this.progressBar.value = 0;
-            this.progressFill.style.width = '0%';
-            this.progressFill.classList.remove('playing');
-            this.progressContainer.classList.remove('loading');
-            this.currentTimeSpan.textContent = '0:00';
+    pauseTimer() {
+        if (this.timerRunning) {
+            this.stopCountdown();
+            this.timerStart.textContent = 'Start';
+            this.timerStart.disabled = false;
+            this.updateTimerDisplay();
+            this.broadcastTimer();
         }
     }
 
     /*
-    playback control methods:
-    core functionality with emphasis on smooth operation and
-    appropriate visual feedback for the calming user experience
+    countdown:
+    the remaining time is always derived from timerEndsAt, so a late or
+    skipped tick can never make the session run long. the interval only
+    repaints; the one-off deadline timeout makes sure completion fires on
+    time even when the interval is throttled in a background tab.
     */
-    togglePlayPause() {
-        if (this.isPlaying) {
-            this.audio.pause();
-            this.playPauseBtn.innerHTML = '<img src="./icon/play.svg" alt="play" width="20" height="24">';
-            this.isPlaying = false;
-            // remove playing animation from progress bar
-            this.progressFill.classList.remove('playing');
-            this.progressContainer.classList.remove('loading');
+    runCountdown() {
+        clearInterval(this.timerInterval);
+        clearTimeout(this.timerDeadline);
+        this.timerInterval = setInterval(() => this.tickTimer(), 250);
+        this.timerDeadline = setTimeout(() => this.tickTimer(), Math.max(this.timerEndsAt - Date.now(), 0));
+        this.tickTimer();
+    }
+
+    tickTimer() {
+        if (!this.timerRunning) return;
+        if (this.updateRemainingTime() === 0) {
+            this.timerComplete();
         } else {
-            // show loading animation while starting
-            this.progressContainer.classList.add('loading');
-            
-            this.audio.play().then(() => {
-                this.playPauseBtn.innerHTML = '<img src="./icon/pause.svg" alt="Pause" width="20" height="20">';
-                this.isPlaying = true;
-                // add playing animation to progress bar
-                this.progressFill.classList.add('playing');
-                this.progressContainer.classList.remove('loading');
-            }).catch(e => {
-                console.log('Playback prevented by browser policy');
-                this.progressContainer.classList.remove('loading');
+            this.updateTimerDisplay();
+        }
+    }
+
+    // returns the milliseconds left and mirrors them into timerMinutes / timerSeconds
+    updateRemainingTime() {
+        const remaining = Math.max(this.timerEndsAt - Date.now(), 0);
+        const totalSeconds = Math.ceil(remaining / 1000);
+        this.timerMinutes = Math.floor(totalSeconds / 60);
+        this.timerSeconds = totalSeconds % 60;
+        return remaining;
+    }
+
+    // freeze the countdown at its remaining time without telling other tabs
+    stopCountdown() {
+        if (this.timerRunning) {
+            this.updateRemainingTime();
+        }
+        this.timerRunning = false;
+        this.timerEndsAt = null;
+        clearInterval(this.timerInterval);
+        clearTimeout(this.timerDeadline);
+        this.timerInterval = null;
+        this.timerDeadline = null;
+    }
+
+    setupTimerSync() {
+        if (!this.features.timerSync || !('BroadcastChannel' in window)) return;
+        this.timerChannel = new BroadcastChannel(TIMER_CHANNEL);
+        this.timerChannel.addEventListener('message', (e) => {
+            if (e.data && typeof e.data === 'object') {
+                this.restorePomodoroSettings(e.data.pomodoro || {});
+                this.applyTimerState(e.data.timer || {});
+                this.scheduleSave('timer', 'pomodoro', 'sessions');
+            }
+        });
+    }
+
+    broadcastTimer() {
+        if (this.timerChannel) {
+            this.timerChannel.postMessage({
+                timer: this.getTimerState(),
+                pomodoro: this.pomodoro
             });
         }
+        this.scheduleSave('timer', 'pomodoro', 'sessions');
+    }
+
+    getTimerState() {
+        return {
+            minutes: this.timerMinutes,
+            seconds: this.timerSeconds,
+            endsAt: this.timerRunning ? this.timerEndsAt : null,
+            phase: this.timerPhase,
+            completedSessions: this.completedSessions,
+            phaseStarted: this.phaseStarted
+        };
+    }
+
+    // used for both the saved state and timer changes from other tabs
+    applyTimerState(timer) {
+        this.stopCountdown();
+        clearTimeout(this.phaseTimeout);
+        this.phaseTimeout = null;
+
+        if (Object.hasOwn(POMODORO_PHASES, timer.phase)) {
+            this.timerPhase = timer.phase;
+        }
+        if (Number.isInteger(timer.completedSessions) && timer.completedSessions >= 0) {
+            this.completedSessions = timer.completedSessions;
+        }
+        if (Number.isInteger(timer.minutes) && Number.isInteger(timer.seconds) &&
+            timer.minutes >= 0 && timer.seconds >= 0 && timer.seconds < 60) {
+            this.timerMinutes = timer.minutes;
+            this.timerSeconds = timer.seconds;
+            this.phaseStarted = timer.phaseStarted === true;
+            if (!this.phaseStarted) this.currentSession = null;
+        }
+        this.timerStart.textContent = 'Start';
+        this.timerStart.disabled = false;
+        this.updateTimerDisplay();
+        this.updatePhaseDisplay();
+
+        if (Number.isFinite(timer.endsAt)) {
+            // still counting; an end time already in the past completes right away
+            this.timerEndsAt = timer.endsAt;
+            this.timerRunning = true;
+            this.timerStart.textContent = 'Running...';
+            this.timerStart.disabled = true;
+            if (this.timerPhase === 'work' && !this.currentSession) this.beginSession();
+            this.runCountdown();
+        } else if (this.timerMinutes === 0 && this.timerSeconds === 0) {
+            // closed during the completion message, continue with the next phase
+            this.enterPhase(this.getNextPhase());
+        }
+    }
+
+    // true for the first tab to report this completion, so side effects happen once
+    claimCompletion(completedAt) {
+        if (!this.features.timerSync) return true;
+        try {
+            if (localStorage.getItem(TIMER_CLAIM_KEY) === String(completedAt)) {
+                return false;
+            }
+            localStorage.setItem(TIMER_CLAIM_KEY, String(completedAt));
+        } catch (e) {
+            // without storage every tab announces its own completion
+        }
+        return true;
+    }
+
+    // reset starts the cycle over from the first focus session
+    resetTimer() {
+        this.pauseTimer();
+        this.completedSessions = 0;
+        this.enterPhase('work');
+        this.timerStart.textContent = 'Start';
+        this.timerStart.disabled = false;
+        this.broadcastTimer();
+        this.updateTimerPresets(null);
+    }
+
+    // the duration presets set the focus length and return to a focus phase
+    setTimer(minutes) {
+        this.pauseTimer();
+        this.pomodoro.durations.work = minutes;
+        this.pomodoroWork.value = minutes;
+        this.enterPhase('work');
+        this.timerStart.textContent = 'Start';
+        this.timerStart.disabled = false;
+        this.broadcastTimer();
+        this.updateTimerPresets(minutes);
+    }
+
+    // marks the chosen duration preset as pressed; null clears them all
+    updateTimerPresets(minutes) {
+        [[60, this.timer60], [30, this.timer30], [15, this.timer15]].forEach(([presetMinutes, button]) => {
+            button.setAttribute('aria-pressed', String(presetMinutes === minutes));
+        });
+    }
+
+    /*
+    focus sessions:
+    a focus phase becomes a session when its countdown first starts. it
+    remembers the task and every track that played, and is written to the
+    log when it completes; resetting or changing the duration drops it.
+    */
+    beginSession() {
+        const remaining = (this.timerMinutes * 60 + this.timerSeconds) * 1000;
+        this.currentSession = {
+            taskId: this.focusTaskId,
+            startedAt: (this.timerEndsAt ?? Date.now() + remaining) - remaining,
+            plannedMinutes: this.pomodoro.durations.work,
+            tracks: []
+        };
+        if (this.isPlaying) this.recordPlayedTrack();
+    }
+
+    recordPlayedTrack() {
+        const track = this.tracks[this.currentTrackIndex];
+        if (!this.currentSession || !this.timerRunning || !track) return;
+        const { tracks } = this.currentSession;
+        if (tracks.length === 0 || tracks[tracks.length - 1].key !== track.key) {
+            tracks.push({ key: track.key, title: track.title });
+        }
     }
 
-    playNext() {
-        let nextIndex;
-        if (this.isShuffled) {
-            nextIndex = Math.floor(Math.random() * this.tracks.length);
-        } else {
-            nextIndex = (this.currentTrackIndex + 1) % this.tracks.length;
+    logSession(endedAt, endedEarly) {
+        // a session restored without its start (older state) is assumed to have run as planned
+        const session = this.currentSession || {
+            taskId: this.focusTaskId,
+            startedAt: endedAt - this.pomodoro.durations.work * 60 * 1000,
+            plannedMinutes: this.pomodoro.durations.work,
+            tracks: []
+        };
+        const task = this.todos.find(t => t.id === session.taskId);
+        if (task) task.pomodoros++;
+
+        this.sessionLog.push({
+            taskId: task ? task.id : null,
+            taskText: task ? task.text : '',
+            startedAt: session.startedAt,
+            endedAt,
+            plannedMinutes: session.plannedMinutes,
+            actualMinutes: Math.round((endedAt - session.startedAt) / 60000),
+            endedEarly,
+            tracks: session.tracks
+        });
+        if (this.sessionLog.length > MAX_SESSION_LOG) {
+            this.sessionLog.splice(0, this.sessionLog.length - MAX_SESSION_LOG);
         }
-        this.loadTrack(nextIndex);
-        if (this.isPlaying) {
-            this.audio.play();
+        this.currentSession = null;
+        this.renderTodos();
+        this.renderSessionLog();
+        this.renderStats();
+    }
+
+    setFocusTask(value) {
+        const task = this.todos.find(t => t.id === Number(value) && !t.completed);
+        this.focusTaskId = value !== '' && task ? task.id : null;
+        if (this.currentSession) this.currentSession.taskId = this.focusTaskId;
+        this.timerTask.value = this.focusTaskId ?? '';
+        this.scheduleSave('sessions');
+    }
+
+    // the focus task was ticked off; optionally wrap up the session it belongs to
+    finishFocusTask() {
+        const sessionRunning = this.timerPhase === 'work' && this.phaseStarted && !this.phaseTimeout;
+        if (this.pomodoro.endWithTask && sessionRunning) {
+            this.timerComplete(true);
         }
+        this.focusTaskId = null;
     }
 
-    playPrevious() {
-        const prevIndex = this.currentTrackIndex === 0 ? 
-            this.tracks.length - 1 : this.currentTrackIndex - 1;
-        this.loadTrack(prevIndex);
-        if (this.isPlaying) {
-            this.audio.play();
+    renderFocusTaskOptions() {
+        this.timerTask.length = 1; // keep "No task"
+        this.todos.filter(t => !t.completed).forEach(todo => {
+            this.timerTask.add(new Option(todo.text, todo.id));
+        });
+        if (!this.todos.some(t => t.id === this.focusTaskId && !t.completed)) {
+            this.focusTaskId = null;
         }
+        this.timerTask.value = this.focusTaskId ?? '';
     }
 
-    toggleShuffle() {
-        this.isShuffled = !this.isShuffled;
-        // clear color-based feedback instead of opacity
-        if (this.isShuffled) {
-            this.shuffleBtn.style.backgroundColor = '#A0956B'; // secondary-earth
-            this.shuffleBtn.style.color = '#FAF7F0'; // soft-cream
-        } else {
-            this.shuffleBtn.style.backgroundColor = '#8B7355'; // primary-earth
-            this.shuffleBtn.style.color = '#FAF7F0'; // soft-cream
+    renderSessionLog() {
+        const recent = this.sessionLog.slice(-SESSION_LOG_SHOWN).reverse();
+        this.sessionLogList.replaceChildren(...recent.map(entry => {
+            const item = document.createElement('li');
+            const title = document.createElement('strong');
+            title.textContent = entry.taskText || 'Focus session';
+            const meta = document.createElement('span');
+            meta.className = 'session-meta';
+            const start = new Date(entry.startedAt);
+            const end = new Date(entry.endedAt);
+            const time = { hour: '2-digit', minute: '2-digit' };
+            const trackCount = `${entry.tracks.length} track${entry.tracks.length === 1 ? '' : 's'}`;
+            meta.textContent = [
+                `${start.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })} ` +
+                    `${start.toLocaleTimeString(undefined, time)}–${end.toLocaleTimeString(undefined, time)}`,
+                `${entry.actualMinutes} of ${entry.plannedMinutes} min${entry.endedEarly ? ' (ended early)' : ''}`,
+                trackCount
+            ].join(' · ');
+            item.title = entry.tracks.map(track => track.title).join(', ');
+            item.append(title, meta);
+            return item;
+        }));
+        if (recent.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'Finished focus sessions will appear here.';
+            this.sessionLogList.appendChild(empty);
         }
     }
 
-    toggleRepeat() {
-        this.isRepeating = !this.isRepeating;
-        // clear color-based feedback instead of opacity
-        if (this.isRepeating) {
-            this.repeatBtn.style.backgroundColor = '#A0956B'; // secondary-earth
-            this.repeatBtn.style.color = '#FAF7F0'; // soft-cream
-        } else {
-            this.repeatBtn.style.backgroundColor = '#8B7355'; // primary-earth
-            this.repeatBtn.style.color = '#FAF7F0'; // soft-cream
+    restoreSessions(saved) {
+        if (Array.isArray(saved.log)) {
+            this.sessionLog = this.sanitizeSessions(saved.log).slice(-MAX_SESSION_LOG);
+        }
+        if (Array.isArray(saved.completions)) {
+            this.completionLog = this.sanitizeCompletions(saved.completions).slice(-MAX_COMPLETION_LOG);
         }
+        const current = saved.current;
+        if (current && Number.isFinite(current.startedAt) && Number.isFinite(current.plannedMinutes) &&
+            current.plannedMinutes >= 0 && current.plannedMinutes <= MAX_SESSION_MINUTES &&
+            Array.isArray(current.tracks)) {
+            this.currentSession = {
+                taskId: Number.isInteger(current.taskId) ? current.taskId : null,
+                startedAt: current.startedAt,
+                plannedMinutes: current.plannedMinutes,
+                tracks: current.tracks.filter(track => track && typeof track.key === 'string')
+            };
+        }
+        // checked against the tasks once they are restored (renderFocusTaskOptions)
+        this.focusTaskId = Number.isInteger(saved.focusTaskId) ? saved.focusTaskId : null;
+        this.renderSessionLog();
+        this.renderStats();
+    }
+
+    // minutes have to fit the phase limit and the time between start and end,
+    // so a bad import can't make the statistics loop for hours
+    sanitizeSessions(entries) {
+        return entries.filter(entry => entry &&
+            Number.isFinite(entry.startedAt) && Number.isFinite(entry.endedAt) &&
+            entry.endedAt >= entry.startedAt &&
+            Number.isFinite(entry.plannedMinutes) && Number.isFinite(entry.actualMinutes) &&
+            entry.plannedMinutes >= 0 && entry.plannedMinutes <= MAX_SESSION_MINUTES &&
+            entry.actualMinutes >= 0 &&
+            entry.actualMinutes <= Math.ceil((entry.endedAt - entry.startedAt) / 60000) &&
+            Array.isArray(entry.tracks))
+            .map(entry => ({
+                taskId: Number.isInteger(entry.taskId) ? entry.taskId : null,
+                taskText: typeof entry.taskText === 'string' ? entry.taskText : '',
+                startedAt: entry.startedAt,
+                endedAt: entry.endedAt,
+                plannedMinutes: entry.plannedMinutes,
+                actualMinutes: entry.actualMinutes,
+                endedEarly: entry.endedEarly === true,
+                tracks: entry.tracks.filter(track => track && typeof track.key === 'string' &&
+                    typeof track.title === 'string')
+            }));
+    }
+
+    sanitizeCompletions(entries) {
+        return entries.filter(entry => entry && Number.isFinite(entry.completedAt))
+            .map(entry => ({
+                taskId: Number.isInteger(entry.taskId) ? entry.taskId : null,
+                taskText: typeof entry.taskText === 'string' ? entry.taskText : '',
+                completedAt: entry.completedAt
+            }));
     }
 
     /*
-    progress and time management:
-    smooth, responsive progress tracking that provides users with
-    clear feedback about track position without being distracting
+    statistics:
+    redrawn whenever a session or task completion is logged. bars and
+    heatmap cells carry their numbers in a title for hover and screen readers.
     */
-    seekTrack() {
-        const progress = this.progressBar.value;
-        const seekTime = (progress / 100) * this.audio.duration;
-        if (!isNaN(seekTime)) {
-            this.audio.currentTime = seekTime;
+    renderStats() {
+        const stats = computeFocusStats(this.sessionLog, this.completionLog);
+        this.statsToday.textContent = Math.round(stats.today);
+        this.statsWeek.textContent = Math.round(stats.week);
+        this.statsStreak.textContent = stats.streak;
+        this.statsBestStreak.textContent = stats.bestStreak;
+
+        const dayLabel = (date) => date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+        const lastDay = stats.daily.length - 1;
+        this.renderBarChart(this.statsDaily, stats.daily.map((day, i) => ({
+            value: day.minutes,
+            label: `${dayLabel(day.date)}: ${Math.round(day.minutes)} min`,
+            highlight: i === lastDay
+        })), 'Focus minutes per day');
+        this.renderBarChart(this.statsWeekly, stats.weekly.map((week, i) => ({
+            value: week.minutes,
+            label: `Week of ${week.date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}: ${Math.round(week.minutes)} min`,
+            highlight: i === stats.weekly.length - 1
+        })), 'Focus minutes per week');
+        this.renderBarChart(this.statsTasks, stats.daily.map((day, i) => ({
+            value: day.tasks,
+            label: `${dayLabel(day.date)}: ${day.tasks} task${day.tasks === 1 ? '' : 's'}`,
+            highlight: i === lastDay
+        })), 'Tasks completed per day');
+        this.renderHeatmap(stats.heatmap);
+
+        this.statsTracks.replaceChildren(...stats.topTracks.map(track => {
+            const item = document.createElement('li');
+            item.textContent = `${track.title} (${track.plays} session${track.plays === 1 ? '' : 's'})`;
+            return item;
+        }));
+        if (stats.topTracks.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No music played during a focus session yet.';
+            this.statsTracks.appendChild(empty);
         }
     }
 
-    updateProgress() {
-        if (this.audio.duration) {
-            const progress = (this.audio.currentTime / this.audio.duration) * 100;
-            this.progressBar.value = progress;
-            // update animated progress fill
-            this.progressFill.style.width = progress + '%';
-            this.currentTimeSpan.textContent = this.formatTime(this.audio.currentTime);
+    renderBarChart(container, bars, description) {
+        const max = Math.max(...bars.map(bar => bar.value), 1);
+        container.setAttribute('aria-label', `${description}. ${bars.map(bar => bar.label).join('; ')}`);
+        container.replaceChildren(...bars.map(bar => {
+            const element = document.createElement('div');
+            element.className = bar.highlight ? 'stats-bar today' : 'stats-bar';
+            element.style.height = `${(bar.value / max) * 100}%`;
+            element.title = bar.label;
+            return element;
+        }));
+    }
+
+    renderHeatmap(heatmap) {
+        const max = Math.max(...heatmap.flat(), 1);
+        const weekdays = Array.from({ length: 7 }, (_, i) =>
+            addDays(startOfWeek(new Date()), i).toLocaleDateString(undefined, { weekday: 'short' }));
+        const cells = [];
+        heatmap.forEach((hours, day) => {
+            const label = document.createElement('span');
+            label.textContent = weekdays[day];
+            cells.push(label);
+            hours.forEach((minutes, hour) => {
+                const cell = document.createElement('div');
+                cell.className = 'stats-heat-cell';
+                cell.style.opacity = 0.08 + (minutes / max) * 0.92;
+                cell.title = `${weekdays[day]} ${String(hour).padStart(2, '0')}:00: ${Math.round(minutes)} min`;
+                cells.push(cell);
+            });
+        });
+        this.statsHeatmap.replaceChildren(...cells);
+        const busiest = heatmap.flatMap((hours, day) => hours.map((minutes, hour) => ({ day, hour, minutes })))
+            .sort((a, b) => b.minutes - a.minutes)[0];
+        this.statsHeatmap.setAttribute('aria-label', busiest.minutes > 0 ?
+            `Focus by weekday and hour. Busiest: ${weekdays[busiest.day]} around ${busiest.hour}:00.` :
+            'Focus by weekday and hour. No sessions yet.');
+    }
+
+    /*
+    export and import:
+    both formats carry the raw logs. the CSV has one row per session or
+    completed task; importing merges into the current logs and skips rows
+    that are already there, so the same file can be imported twice.
+    */
+    exportStats(format) {
+        const date = localDateKey(new Date());
+        if (format === 'json') {
+            const data = {
+                format: STATS_FORMAT,
+                version: 1,
+                exportedAt: new Date().toISOString(),
+                sessions: this.sessionLog,
+                completions: this.completionLog
+            };
+            downloadText(`serenity-stats-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+            return;
         }
+        const iso = (time) => new Date(time).toISOString();
+        const rows = [
+            STATS_CSV_COLUMNS,
+            ...this.sessionLog.map(session => ['session', session.taskText, iso(session.startedAt),
+                iso(session.endedAt), session.plannedMinutes, session.actualMinutes, session.endedEarly,
+                // '|' separates tracks, so it can't appear inside a title
+                session.tracks.map(track => track.title.replace(/\|/g, '/')).join('|'),
+                session.tracks.map(track => track.key).join('|')]),
+            ...this.completionLog.map(completion => ['task', completion.taskText, '',
+                iso(completion.completedAt), '', '', '', '', ''])
+        ];
+        downloadText(`serenity-stats-${date}.csv`, rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n', 'text/csv');
     }
 
-    updateTotalTime() {
-        if (this.audio.duration) {
-            this.totalTimeSpan.textContent = this.formatTime(this.audio.duration);
+    async importStats(file) {
+        let data;
+        try {
+            const text = await file.text();
+            data = /\.json$/i.test(file.name) || text.trim().startsWith('{') ?
+                this.readStatsJson(text) : this.readStatsCsv(text);
+        } catch (e) {
+            this.statsStatus.textContent = `Could not read ${file.name}: ${e.message}.`;
+            return;
         }
+
+        const sessionKeys = new Set(this.sessionLog.map(session => `${session.startedAt}:${session.endedAt}`));
+        const newSessions = this.sanitizeSessions(data.sessions)
+            .filter(session => !sessionKeys.has(`${session.startedAt}:${session.endedAt}`));
+        const completionKeys = new Set(this.completionLog.map(entry => `${entry.completedAt}:${entry.taskText}`));
+        const newCompletions = this.sanitizeCompletions(data.completions)
+            .filter(entry => !completionKeys.has(`${entry.completedAt}:${entry.taskText}`));
+
+        this.sessionLog = [...this.sessionLog, ...newSessions]
+            .sort((a, b) => a.endedAt - b.endedAt)
+            .slice(-MAX_SESSION_LOG);
+        this.completionLog = [...this.completionLog, ...newCompletions]
+            .sort((a, b) => a.completedAt - b.completedAt)
+            .slice(-MAX_COMPLETION_LOG);
+        this.renderSessionLog();
+        this.renderStats();
+        this.scheduleSave('sessions');
+        this.statsStatus.textContent = `Imported ${newSessions.length} session${newSessions.length === 1 ? '' : 's'} and ` +
+            `${newCompletions.length} completed task${newCompletions.length === 1 ? '' : 's'}.`;
     }
 
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    readStatsJson(text) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== STATS_FORMAT) throw new Error('not a stats export');
+        return {
+            sessions: Array.isArray(data.sessions) ? data.sessions : [],
+            completions: Array.isArray(data.completions) ? data.completions : []
+        };
     }
 
-    handleTrackEnd() {
-        if (this.isRepeating) {
-            this.audio.currentTime = 0;
-            this.audio.play();
-        } else {
-            this.playNext();
+    readStatsCsv(text) {
+        const [header, ...rows] = parseCsv(text);
+        if (!header || STATS_CSV_COLUMNS.some((column, i) => header[i] !== column)) {
+            throw new Error('unexpected columns');
         }
+        const time = (value) => Date.parse(value);
+        const sessions = [];
+        const completions = [];
+        rows.forEach(row => {
+            // every field was exported through toCsvField, the joined titles and keys included
+            const [record, task, startedAt, endedAt, planned, actual, endedEarly, titles, keys] = row.map(fromCsvField);
+            if (record === 'session') {
+                const trackTitles = titles ? titles.split('|') : [];
+                const trackKeys = keys ? keys.split('|') : [];
+                sessions.push({
+                    taskId: null,
+                    taskText: task,
+                    startedAt: time(startedAt),
+                    endedAt: time(endedAt),
+                    plannedMinutes: Number(planned),
+                    actualMinutes: Number(actual),
+                    endedEarly: endedEarly === 'true',
+                    tracks: trackKeys.map((key, i) => ({ key, title: trackTitles[i] || key }))
+                });
+            } else if (record === 'task') {
+                completions.push({ taskId: null, taskText: task, completedAt: time(endedAt) });
+            }
+        });
+        return { sessions, completions };
     }
 
     /*
-    focus timer functionality:
-    designed specifically for the study context.
-    this Pomodoro-style timer helps users maintain productive study sessions
-    while enjoying the relaxing background music. the timer integrates
-    seamlessly with the music player to create a complete study environment.
-    
-    design rationale: the timer addresses the specific needs of students and
-    knowledge workers who use background music for concentration. by combining
-    music playback with time management, this feature transforms a simple
-    music player into a productivity tool, perfectly aligned with the
-    relaxation/study context.
+    ambient mixer:
+    switching a layer on is a user gesture, so it is also where the shared
+    audio context gets created if the music hasn't started it yet.
     */
-    startTimer() {
-        if (!this.timerRunning && (this.timerMinutes > 0 || this.timerSeconds > 0)) {
-            this.timerRunning = true;
-            this.timerStart.textContent = 'Running...';
-            this.timerStart.disabled = true;
-            
-            this.timerInterval = setInterval(() => {
-                if (this.timerSeconds === 0) {
-                    if (this.timerMinutes === 0) {
-                        this.timerComplete();
-                        return;
-                    }
-                    this.timerMinutes--;
-                    this.timerSeconds = 59;
-                } else {
-                    this.timerSeconds--;
-                }
-                this.updateTimerDisplay();
-            }, 1000);
-        }
+    setAmbientLayer(name, changes) {
+        this.setupAudioGraph();
+        this.ambient.setLayer(name, changes);
+        this.ambientPreset.value = '';
+        this.renderAmbientMixer();
+        this.scheduleSave('ambient');
     }
 
-    pauseTimer() {
-        if (this.timerRunning) {
-            this.timerRunning = false;
-            this.timerStart.textContent = 'Start';
-            this.timerStart.disabled = false;
-            
-            if (this.timerInterval) {
-                clearInterval(this.timerInterval);
-                this.timerInterval = null;
-            }
-        }
+    loadAmbientPreset(name) {
+        const preset = this.ambientPresets.get(name);
+        if (!preset) return;
+        this.setupAudioGraph();
+        Object.keys(preset).forEach(layer => this.ambient.setLayer(layer, { ...preset[layer] }));
+        this.ambientPresetName.value = name;
+        this.renderAmbientMixer();
+        this.ambientPreset.value = name;
+        this.scheduleSave('ambient');
     }
 
-    resetTimer() {
-        this.pauseTimer();
-        this.timerMinutes = 60;
-        this.timerSeconds = 0;
-        this.timerStart.textContent = 'Start';
-        this.timerStart.disabled = false;
-        this.updateTimerDisplay();
-        
-        // reset all timer duration buttons to unselected state
-        document.querySelectorAll('.timer-btn').forEach(btn => {
-            if (btn.textContent.includes('min') || btn.textContent.includes('hour')) {
-                btn.style.backgroundColor = '#FAF7F0';
-                btn.style.color = '#7A8471';
-            }
+    saveAmbientPreset() {
+        const name = this.ambientPresetName.value.trim();
+        if (name === '') return;
+        this.ambientPresets.set(name, this.sanitizeAmbientLayers(this.ambient.layers));
+        this.renderAmbientMixer();
+        this.ambientPreset.value = name;
+        this.scheduleSave('ambient');
+    }
+
+    deleteAmbientPreset() {
+        const name = this.ambientPreset.value || this.ambientPresetName.value.trim();
+        if (!this.ambientPresets.delete(name)) return;
+        this.ambientPresetName.value = '';
+        this.renderAmbientMixer();
+        this.scheduleSave('ambient');
+    }
+
+    renderAmbientMixer() {
+        this.ambientLayers.forEach(row => {
+            const layer = this.ambient.layers[row.dataset.layer];
+            row.querySelector('.ambient-toggle').setAttribute('aria-pressed', String(layer.enabled));
+            row.querySelector('.ambient-volume').value = layer.volume;
+        });
+
+        const selected = this.ambientPreset.value;
+        this.ambientPreset.length = 1; // keep the "Presets..." placeholder
+        [...this.ambientPresets.keys()].sort().forEach(name => {
+            this.ambientPreset.add(new Option(name, name));
         });
+        this.ambientPreset.value = this.ambientPresets.has(selected) ? selected : '';
     }
 
-    setTimer(minutes) {
-        this.pauseTimer();
-        this.timerMinutes = minutes;
+    /*
+    pomodoro cycle:
+    each phase loads its own duration; finishing a focus session counts it
+    and picks a short or long break, finishing a break returns to focus.
+    */
+    enterPhase(phase) {
+        clearTimeout(this.phaseTimeout);
+        this.phaseTimeout = null;
+        this.timerPhase = phase;
+        this.timerMinutes = this.pomodoro.durations[phase];
         this.timerSeconds = 0;
-        this.timerStart.textContent = 'Start';
-        this.timerStart.disabled = false;
+        this.phaseStarted = false;
+        // a session not finished by now (reset, new duration) is abandoned
+        this.currentSession = null;
         this.updateTimerDisplay();
-        
-        // visual feedback for button selection
-        document.querySelectorAll('.timer-btn').forEach(btn => {
-            if (btn.textContent.includes('min') || btn.textContent.includes('hour')) {
-                btn.style.backgroundColor = '#FAF7F0';
-                btn.style.color = '#7A8471';
+        this.updatePhaseDisplay();
+        this.scheduleSave('timer', 'sessions');
+    }
+
+    getNextPhase() {
+        if (this.timerPhase !== 'work') return 'work';
+        const isLongBreak = this.completedSessions > 0 &&
+            this.completedSessions % this.pomodoro.longBreakEvery === 0;
+        return isLongBreak ? 'longBreak' : 'shortBreak';
+    }
+
+    // actions are 'keep', 'pause', 'resume' or 'playlist:<id>' to switch and play
+    applyPhaseMusic(phase) {
+        const action = this.pomodoro.music[phase];
+        if (action.startsWith('playlist:')) {
+            this.setActivePlaylist(action.slice('playlist:'.length));
+            if (!this.isPlaying) this.togglePlayPause();
+        } else if ((action === 'pause' && this.isPlaying) || (action === 'resume' && !this.isPlaying)) {
+            this.togglePlayPause();
+        }
+    }
+
+    updatePhaseDisplay() {
+        const every = this.pomodoro.longBreakEvery;
+        // during a break, show the session that just finished
+        const done = this.timerPhase === 'work' ? this.completedSessions : this.completedSessions - 1;
+        const session = (Math.max(done, 0) % every) + 1;
+        this.timerPhaseLabel.textContent = POMODORO_PHASES[this.timerPhase].label;
+        this.timerSessions.textContent =
+            `Session ${session} of ${every} · ${this.completedSessions} completed`;
+    }
+
+    readPomodoroSettings() {
+        const readMinutes = (input, fallback) => {
+            const value = parseInt(input.value, 10);
+            return value >= 1 && value <= 180 ? value : fallback;
+        };
+        const { durations } = this.pomodoro;
+        durations.work = readMinutes(this.pomodoroWork, durations.work);
+        durations.shortBreak = readMinutes(this.pomodoroShort, durations.shortBreak);
+        durations.longBreak = readMinutes(this.pomodoroLong, durations.longBreak);
+
+        const every = parseInt(this.pomodoroEvery.value, 10);
+        if (every >= 1 && every <= 12) {
+            this.pomodoro.longBreakEvery = every;
+        }
+        this.pomodoro.autoAdvance = this.pomodoroAuto.checked;
+        this.pomodoro.endWithTask = this.pomodoroEndWithTask.checked;
+        this.pomodoroMusic.forEach(select => {
+            this.pomodoro.music[select.dataset.phase] = select.value;
+        });
+
+        // an untouched phase picks up its new length straight away
+        if (!this.timerRunning && !this.phaseStarted && !this.phaseTimeout) {
+            this.enterPhase(this.timerPhase);
+        }
+        this.renderPomodoroSettings();
+        this.updatePhaseDisplay();
+        this.broadcastTimer();
+    }
+
+    restorePomodoroSettings(saved) {
+        const durations = saved.durations || {};
+        Object.keys(POMODORO_PHASES).forEach(phase => {
+            const minutes = durations[phase];
+            if (Number.isInteger(minutes) && minutes >= 1 && minutes <= 180) {
+                this.pomodoro.durations[phase] = minutes;
+            }
+            const action = saved.music && saved.music[phase];
+            if (MUSIC_ACTIONS.includes(action) || (typeof action === 'string' && action.startsWith('playlist:'))) {
+                this.pomodoro.music[phase] = action;
             }
         });
-        
-        // highlight selected duration
-        const buttonMap = {
-            60: this.timer60,
-            30: this.timer30,
-            15: this.timer15
-        };
-        
-        if (buttonMap[minutes]) {
-            buttonMap[minutes].style.backgroundColor = '#A0956B';
-            buttonMap[minutes].style.color = '#FAF7F0';
+        if (Number.isInteger(saved.longBreakEvery) && saved.longBreakEvery >= 1 && saved.longBreakEvery <= 12) {
+            this.pomodoro.longBreakEvery = saved.longBreakEvery;
+        }
+        if (typeof saved.autoAdvance === 'boolean') {
+            this.pomodoro.autoAdvance = saved.autoAdvance;
         }
+        if (typeof saved.endWithTask === 'boolean') {
+            this.pomodoro.endWithTask = saved.endWithTask;
+        }
+        this.renderPomodoroSettings();
+    }
+
+    renderPomodoroSettings() {
+        const { durations } = this.pomodoro;
+        this.pomodoroWork.value = durations.work;
+        this.pomodoroShort.value = durations.shortBreak;
+        this.pomodoroLong.value = durations.longBreak;
+        this.pomodoroEvery.value = this.pomodoro.longBreakEvery;
+        this.pomodoroAuto.checked = this.pomodoro.autoAdvance;
+        this.pomodoroEndWithTask.checked = this.pomodoro.endWithTask;
+        this.renderPhaseMusicOptions();
+    }
+
+    renderPhaseMusicOptions() {
+        this.pomodoroMusic.forEach(select => {
+            // fixed actions first, then one "switch to" entry per playlist
+            select.length = MUSIC_ACTIONS.length;
+            this.playlists.forEach(playlist => {
+                select.add(new Option(`Switch to ${playlist.name}`, `playlist:${playlist.id}`));
+            });
+            const action = this.pomodoro.music[select.dataset.phase];
+            select.value = action;
+            if (select.value !== action) {
+                // the playlist it pointed to was deleted
+                this.pomodoro.music[select.dataset.phase] = 'keep';
+                select.value = 'keep';
+            }
+        });
     }
 
     updateTimerDisplay() {
         const formattedTime = `${this.timerMinutes.toString().padStart(2, '0')}:${this.timerSeconds.toString().padStart(2, '0')}`;
         this.timerDisplay.textContent = formattedTime;
+
+        // keep the countdown visible from the tab strip while a session runs
+        if (this.features.documentTitle) {
+            document.title = this.timerRunning ?
+                `${formattedTime} · ${POMODORO_PHASES[this.timerPhase].label} | ${this.baseTitle}` :
+                this.baseTitle;
+        }
     }
 
     /*
@@ -398,24 +4662,61 @@ class RelaxationMusicPlayer {
     Provides gentle notification when focus session ends, maintaining
     the calm atmosphere while alerting the user to take a break
     */
-    timerComplete() {
-        this.pauseTimer();
+    // endedEarly: the focus task was completed before the countdown ran out
+    timerComplete(endedEarly = false) {
+        // the finished end time is shared by every tab, so it identifies this completion
+        const completedAt = endedEarly ? Date.now() : this.timerEndsAt ?? Date.now();
+        this.stopCountdown();
+        this.timerMinutes = 0;
+        this.timerSeconds = 0;
+        this.updateTimerDisplay();
         this.timerDisplay.textContent = "00:00";
         this.timerStart.textContent = 'Start';
         this.timerStart.disabled = false;
+
+        const finishedWork = this.timerPhase === 'work';
+        if (finishedWork) {
+            this.completedSessions++;
+            this.logSession(completedAt, endedEarly);
+        }
+        const nextPhase = this.getNextPhase();
+        this.scheduleSave('timer', 'sessions', 'todos');
+        // other tabs only finish on their own when the end time is reached
+        if (endedEarly) this.broadcastTimer();
+        this.emit('timercomplete', { phase: this.timerPhase, nextPhase, endedEarly, completedAt });
         
         // show completion message
-        this.timerDisplay.textContent = "Session Complete!";
+        this.timerDisplay.textContent = finishedWork ? "Session Complete!" : "Break Over!";
+        this.announce(`${finishedWork ? 'Focus session complete' : 'Break over'}. ` +
+            `Next: ${POMODORO_PHASES[nextPhase].label}` +
+            (this.pomodoro.autoAdvance ? ', starting shortly.' : ', press Start when ready.'));
         
-        // reset display after 4 seconds
-        setTimeout(() => {
-            this.resetTimer();
-        }, 4000);
+        // move on to the next phase after 4 seconds, starting it right away
+        // unless the user prefers to confirm each phase with Start
+        this.phaseTimeout = setTimeout(() => {
+            this.enterPhase(nextPhase);
+            if (this.pomodoro.autoAdvance) {
+                // derive the start from the shared completion time so every tab
+                // lands on the same end time; a stale completion (the page was
+                // closed) starts from now instead
+                const startsAt = Date.now() - completedAt > PHASE_PAUSE_MS + 60 * 1000 ?
+                    Date.now() : completedAt + PHASE_PAUSE_MS;
+                this.startTimer(startsAt + this.pomodoro.durations[nextPhase] * 60 * 1000);
+            } else if (endedEarly) {
+                this.broadcastTimer();
+            }
+        }, PHASE_PAUSE_MS);
+
+        // notification and chime only from the first tab to complete
+        if (!this.claimCompletion(completedAt)) return;
 
         // browser notification with permission check
-        if ('Notification' in window && Notification.permission === 'granted') {
-            new Notification('🎓 Focus Session Complete!', {
-                body: 'Great work! Time for a well-deserved break.',
+        if (this.features.notifications && 'Notification' in window && Notification.permission === 'granted') {
+            const nextLabel = POMODORO_PHASES[nextPhase].label.toLowerCase();
+            new Notification(finishedWork ? '🎓 Focus Session Complete!' : '☕ Break Over', {
+                body: finishedWork ?
+                    `Great work! Time for a ${nextLabel}.` :
+                    'Ready for the next focus session?',
                 silent: false,
                 tag: 'focus-timer'
             });
@@ -456,39 +4757,146 @@ class RelaxationMusicPlayer {
             id: this.todoIdCounter++,
             text: text,
             completed: false,
+            // a page without the priority picker adds tasks at the default level
+            priority: TODO_PRIORITIES.includes(this.todoPriority.value) ? this.todoPriority.value : DEFAULT_TODO_PRIORITY,
+            due: this.todoDue.value || null,
+            pomodoros: 0,
             timestamp: new Date()
         };
 
         this.todos.push(todo);
         this.todoInput.value = '';
+        this.todoDue.value = '';
         this.renderTodos();
         this.updateTodoCount();
+        this.scheduleSave('todos');
+        // ready for the next task, whether it was added with Enter or the button
+        this.todoInput.focus();
+        this.announce(`Added "${text}"`);
+    }
+
+    getVisibleTodos() {
+        if (this.todoFilter === 'active') return this.todos.filter(t => !t.completed);
+        if (this.todoFilter === 'completed') return this.todos.filter(t => t.completed);
+        return this.todos;
     }
 
+    // built from elements and textContent, so task text can never become markup
     renderTodos() {
-        this.todoList.innerHTML = '';
-        
-        this.todos.forEach(todo => {
-            const li = document.createElement('li');
-            li.className = 'todo-item';
-            li.innerHTML = `
-                <input type="checkbox" class="todo-checkbox" 
-                       ${todo.completed ? 'checked' : ''} 
-                       data-id="${todo.id}">
-                <span class="todo-text ${todo.completed ? 'completed' : ''}">${todo.text}</span>
-                <button class="todo-delete" data-id="${todo.id}">×</button>
-            `;
-            this.todoList.appendChild(li);
-        });
+        const visible = this.getVisibleTodos();
+        this.todoList.replaceChildren(...visible.map(todo => this.createTodoElement(todo)));
+        if (visible.length === 0 && this.todos.length > 0) {
+            const empty = document.createElement('li');
+            empty.className = 'todo-empty';
+            empty.textContent = this.todoFilter === 'completed' ? 'Nothing completed yet.' : 'All done!';
+            this.todoList.appendChild(empty);
+        }
+        this.todoClearCompleted.disabled = !this.todos.some(t => t.completed);
+        this.renderFocusTaskOptions();
+    }
+
+    createTodoElement(todo) {
+        const li = document.createElement('li');
+        li.className = `todo-item priority-${todo.priority}`;
+        li.dataset.id = todo.id;
+        li.draggable = true;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'todo-checkbox';
+        checkbox.checked = todo.completed;
+        checkbox.dataset.id = todo.id;
+        checkbox.setAttribute('aria-label', `Mark "${todo.text}" as done`);
+
+        const text = document.createElement('span');
+        text.className = todo.completed ? 'todo-text completed' : 'todo-text';
+        text.textContent = todo.text;
+        text.tabIndex = 0;
+        text.title = 'Double-click to edit';
+        li.append(checkbox, text);
+
+        if (todo.priority !== DEFAULT_TODO_PRIORITY) {
+            const priority = document.createElement('span');
+            priority.className = 'todo-badge';
+            priority.textContent = todo.priority === 'high' ? 'High' : 'Low';
+            li.appendChild(priority);
+        }
+        if (todo.pomodoros > 0) {
+            const pomodoros = document.createElement('span');
+            pomodoros.className = 'todo-badge';
+            pomodoros.textContent = `${todo.pomodoros} × focus`;
+            pomodoros.title = `${todo.pomodoros} focus session${todo.pomodoros === 1 ? '' : 's'} spent on this task`;
+            li.appendChild(pomodoros);
+        }
+        if (todo.due) {
+            const due = document.createElement('span');
+            due.className = 'todo-badge';
+            due.textContent = `Due ${this.formatDueDate(todo.due)}`;
+            if (!todo.completed && todo.due < this.getToday()) {
+                due.classList.add('overdue');
+            }
+            li.appendChild(due);
+        }
+
+        const remove = document.createElement('button');
+        remove.className = 'todo-delete';
+        remove.dataset.id = todo.id;
+        remove.title = 'Delete task';
+        remove.setAttribute('aria-label', `Delete "${todo.text}"`);
+        remove.textContent = '×';
+        li.appendChild(remove);
+        return li;
+    }
+
+    // due dates are plain YYYY-MM-DD strings in local time, so they compare as text
+    getToday() {
+        return localDateKey(new Date());
+    }
+
+    formatDueDate(due) {
+        const [year, month, day] = due.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
     }
 
+    // both actions re-render the list, so focus goes back to the same control
+    // at the same position: the task itself, or the one that took its place
     handleTodoClick(e) {
         const todoId = parseInt(e.target.dataset.id);
+        const position = Array.from(this.todoList.children).indexOf(e.target.closest('.todo-item'));
         
         if (e.target.classList.contains('todo-checkbox')) {
             this.toggleTodo(todoId);
+            const todo = this.todos.find(t => t.id === todoId);
+            if (todo && !this.getVisibleTodos().includes(todo)) {
+                this.announce(`"${todo.text}" ${todo.completed ? 'done' : 'active'}, hidden by the current filter`);
+            }
+            this.focusTodoAt(position, '.todo-checkbox');
         } else if (e.target.classList.contains('todo-delete')) {
             this.deleteTodo(todoId);
+            this.focusTodoAt(position, '.todo-delete');
+        }
+    }
+
+    // an empty list leaves the new task input as the place to continue
+    focusTodoAt(position, selector) {
+        const items = this.todoList.querySelectorAll('.todo-item');
+        if (items.length === 0) {
+            this.todoInput.focus();
+            return;
+        }
+        items[Math.min(position, items.length - 1)].querySelector(selector).focus();
+    }
+
+    handleTodoKeydown(e) {
+        const item = e.target.closest('.todo-item');
+        if (!item || item.classList.contains('editing')) return;
+        const id = Number(item.dataset.id);
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            this.moveTodoBy(id, e.key === 'ArrowUp' ? -1 : 1);
+        } else if (e.target.classList.contains('todo-text') && (e.key === 'Enter' || e.key === 'F2')) {
+            e.preventDefault();
+            this.editTodo(id);
         }
     }
 
@@ -496,28 +4904,315 @@ class RelaxationMusicPlayer {
         const todo = this.todos.find(t => t.id === id);
         if (todo) {
             todo.completed = !todo.completed;
+            if (todo.completed) {
+                this.completionLog.push({ taskId: todo.id, taskText: todo.text, completedAt: Date.now() });
+                if (this.completionLog.length > MAX_COMPLETION_LOG) {
+                    this.completionLog.splice(0, this.completionLog.length - MAX_COMPLETION_LOG);
+                }
+            } else {
+                // unticking takes back the completion it undoes
+                const last = this.completionLog.map(entry => entry.taskId).lastIndexOf(todo.id);
+                if (last !== -1) this.completionLog.splice(last, 1);
+            }
+            this.renderStats();
+            if (todo.completed && todo.id === this.focusTaskId) {
+                this.finishFocusTask();
+            }
             this.renderTodos();
             this.updateTodoCount();
+            this.scheduleSave('todos', 'sessions');
         }
     }
 
     deleteTodo(id) {
-        this.todos = this.todos.filter(t => t.id !== id);
+        const index = this.todos.findIndex(t => t.id === id);
+        if (index === -1) return;
+        this.removeTodos([index], `Deleted "${this.todos[index].text}".`);
+    }
+
+    clearCompletedTodos() {
+        const indices = this.todos.map((todo, index) => (todo.completed ? index : -1)).filter(index => index !== -1);
+        if (indices.length === 0) return;
+        this.removeTodos(indices, `Cleared ${indices.length} completed task${indices.length === 1 ? '' : 's'}.`);
+    }
+
+    // removed tasks are kept with their positions until the undo toast goes away
+    removeTodos(indices, message) {
+        this.deletedTodos = indices.map(index => ({ index, todo: this.todos[index] }));
+        this.todos = this.todos.filter((todo, index) => !indices.includes(index));
+        this.renderTodos();
+        this.updateTodoCount();
+        this.scheduleSave('todos');
+        this.showToast(message, { label: 'Undo', handler: () => this.undoDeleteTodos() });
+    }
+
+    undoDeleteTodos() {
+        if (!this.deletedTodos) return;
+        // ascending indices put every task back exactly where it was
+        this.deletedTodos.forEach(({ index, todo }) => this.todos.splice(index, 0, todo));
+        const restored = this.deletedTodos[0].todo;
+        this.deletedTodos = null;
+        this.renderTodos();
+        this.updateTodoCount();
+        this.scheduleSave('todos');
+        // the undo button has just gone away with the toast
+        const item = this.todoList.querySelector(`.todo-item[data-id="${restored.id}"] .todo-text`);
+        if (item) item.focus();
+    }
+
+    setTodoFilter(filter) {
+        this.todoFilter = filter;
+        this.todoFilters.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.filter === filter));
+        });
         this.renderTodos();
         this.updateTodoCount();
+        this.scheduleSave('todos');
+    }
+
+    /*
+    inline editing:
+    the task row swaps in a small form for text, priority and due date.
+    Enter or leaving the row saves, Escape puts the task back unchanged.
+    */
+    editTodo(id) {
+        const todo = this.todos.find(t => t.id === id);
+        const item = this.todoList.querySelector(`.todo-item[data-id="${id}"]`);
+        if (!todo || !item || item.classList.contains('editing')) return;
+
+        const form = document.createElement('div');
+        form.className = 'todo-edit';
+        const text = document.createElement('input');
+        text.type = 'text';
+        text.className = 'todo-edit-text';
+        text.maxLength = 100;
+        text.value = todo.text;
+        text.setAttribute('aria-label', 'Task');
+        const priority = document.createElement('select');
+        priority.setAttribute('aria-label', 'Priority');
+        TODO_PRIORITIES.forEach(level => {
+            priority.add(new Option(level[0].toUpperCase() + level.slice(1), level, false, level === todo.priority));
+        });
+        const due = document.createElement('input');
+        due.type = 'date';
+        due.value = todo.due || '';
+        due.setAttribute('aria-label', 'Due date');
+        form.append(text, priority, due);
+
+        item.classList.add('editing');
+        item.draggable = false;
+        item.replaceChildren(form);
+        text.focus();
+        text.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save && text.value.trim() !== '') {
+                todo.text = text.value.trim();
+                todo.priority = priority.value;
+                todo.due = due.value || null;
+                this.scheduleSave('todos');
+            }
+            this.renderTodos();
+            this.updateTodoCount();
+            const shown = this.todoList.querySelector(`.todo-item[data-id="${id}"] .todo-text`);
+            if (shown) shown.focus();
+        };
+        form.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        form.addEventListener('focusout', (e) => {
+            if (!form.contains(e.relatedTarget)) finish(true);
+        });
+    }
+
+    /*
+    reordering:
+    tasks are dragged within the list or moved with Alt + arrow keys. the
+    order is kept in this.todos, so with a filter on, a task moves relative
+    to its visible neighbours.
+    */
+    moveTodo(id, targetId, after) {
+        if (id === targetId) return;
+        const todo = this.todos.find(t => t.id === id);
+        this.todos = this.todos.filter(t => t.id !== id);
+        const targetIndex = this.todos.findIndex(t => t.id === targetId);
+        this.todos.splice(targetIndex + (after ? 1 : 0), 0, todo);
+        this.renderTodos();
+        this.scheduleSave('todos');
+    }
+
+    moveTodoBy(id, offset) {
+        const visible = this.getVisibleTodos();
+        const index = visible.findIndex(t => t.id === id);
+        const target = visible[index + offset];
+        if (!target) return;
+        this.moveTodo(id, target.id, offset > 0);
+        this.todoList.querySelector(`.todo-item[data-id="${id}"] .todo-text`).focus();
+    }
+
+    handleTodoDragStart(e) {
+        const item = e.target.closest('.todo-item');
+        if (!item) return;
+        this.draggedTodoId = Number(item.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.querySelector('.todo-text').textContent);
+        item.classList.add('dragging');
+    }
+
+    handleTodoDragOver(e) {
+        const item = e.target.closest('.todo-item');
+        if (this.draggedTodoId === null || !item) return;
+        e.preventDefault();
+        const rect = item.getBoundingClientRect();
+        this.todoList.querySelectorAll('.drop-before, .drop-after').forEach(other =>
+            other.classList.remove('drop-before', 'drop-after'));
+        item.classList.add(e.clientY > rect.top + rect.height / 2 ? 'drop-after' : 'drop-before');
     }
 
+    handleTodoDrop(e) {
+        const item = e.target.closest('.todo-item');
+        if (this.draggedTodoId === null || !item) return;
+        e.preventDefault();
+        const id = this.draggedTodoId;
+        const after = item.classList.contains('drop-after');
+        this.clearTodoDragState();
+        this.moveTodo(id, Number(item.dataset.id), after);
+    }
+
+    clearTodoDragState() {
+        this.draggedTodoId = null;
+        this.todoList.querySelectorAll('.dragging, .drop-before, .drop-after').forEach(item =>
+            item.classList.remove('dragging', 'drop-before', 'drop-after'));
+    }
+
+    // counts what the current filter shows: all tasks, the open ones or the finished ones
     updateTodoCount() {
-        const remainingCount = this.todos.filter(t => !t.completed).length;
-        this.todoCount.textContent = remainingCount;
+        const count = this.getVisibleTodos().length;
+        const [singular, plural] = TODO_COUNT_LABELS[this.todoFilter];
+        this.todoCount.textContent = count;
+        this.todoCountLabel.textContent = count === 1 ? singular : plural;
     }
 }
 
 /*
-player initalization:
-initialize the player when DOM is fully loaded to ensure all elements
-are available and properly connected for seamless user interaction
+public api:
+createPlayer(container, { tracks, volume, features, storageKey }) runs a
+player inside container. markup is matched by id or data-player name (see
+createDefaultPlayerUi for the names); an empty container gets that default
+ui. with the persistence feature, storageKey is required and must differ
+from every other player's. the returned object is all other pages need,
+and listeners added with on() receive the event's detail.
 */
+function createPlayer(container, options = {}) {
+    container.dataset.playerRoot = '';
+    if (!container.querySelector('#audio-player, [data-player="audio-player"]')) {
+        container.appendChild(createDefaultPlayerUi());
+    }
+    const player = new RelaxationMusicPlayer(container, options);
+    // type -> handler -> the wrapper actually registered, so off() can find it
+    const listeners = new Map();
+
+    return {
+        play: () => player.play(),
+        pause: () => player.pause(),
+        toggle: () => player.togglePlayPause(),
+        next: () => player.playNext(),
+        previous: () => player.playPrevious(),
+        seek: (seconds) => player.seekTo(seconds),
+        setVolume: (volume) => player.setVolume(Math.min(100, Math.max(0, Math.round(volume)))),
+        setQueue: (tracks) => player.setQueue(tracks),
+        getState: () => ({
+            playing: player.isPlaying,
+            index: player.currentTrackIndex,
+            track: player.describeTrack(player.tracks[player.currentTrackIndex]),
+            tracks: player.tracks.map(track => player.describeTrack(track)),
+            currentTime: player.audio.currentTime,
+            duration: player.audio.duration || 0,
+            volume: Number(player.volumeSlider.value)
+        }),
+        on(type, handler) {
+            if (!PLAYER_EVENTS.includes(type)) {
+                throw new Error(`unknown player event: ${type}`);
+            }
+            if (!listeners.has(type)) listeners.set(type, new Map());
+            const wrappers = listeners.get(type);
+            // like addEventListener, a second on() with the same pair does nothing
+            if (wrappers.has(handler)) return this;
+            const listener = (e) => handler(e.detail);
+            wrappers.set(handler, listener);
+            player.addEventListener(type, listener);
+            return this;
+        },
+        off(type, handler) {
+            const wrappers = listeners.get(type);
+            if (wrappers && wrappers.has(handler)) {
+                player.removeEventListener(type, wrappers.get(handler));
+                wrappers.delete(handler);
+            }
+            return this;
+        }
+    };
+}
+
+// the transport, progress and track list, named for find(); styled by style.css
+function createDefaultPlayerUi() {
+    const ui = document.createElement('div');
+    ui.className = 'player-container';
+    ui.innerHTML = `
+        <div class="now-playing">
+            <div class="track-info"><h2 data-player="track-title"></h2></div>
+        </div>
+        <audio data-player="audio-player" preload="metadata"></audio>
+        <div class="progress-container" data-player="progress-container">
+            <div class="progress-fill" data-player="progress-fill"></div>
+            <input type="range" class="progress-bar" data-player="progress-bar"
+                min="0" max="100" value="0" aria-label="Position" aria-valuetext="0 seconds" />
+            <div class="time-display">
+                <span data-player="current-time">0:00</span>
+                <span data-player="total-time">0:00</span>
+            </div>
+        </div>
+        <div class="controls">
+            <button class="control-btn" data-player="shuffle-btn" title="Shuffle" aria-pressed="false">
+                <img src="${iconUrl('shuffle')}" alt="shuffle" width="15" height="15" />
+            </button>
+            <button class="control-btn" data-player="prev-btn" title="Previous Track">
+                <img src="${iconUrl('previous')}" alt="previous" width="15" height="15" />
+            </button>
+            <button class="control-btn play-pause-btn" data-player="play-pause-btn" title="Play/Pause">
+                <img src="${iconUrl('play')}" alt="play" width="20" height="20" />
+            </button>
+            <button class="control-btn" data-player="next-btn" title="Next Track">
+                <img src="${iconUrl('next')}" alt="next" width="15" height="15" />
+            </button>
+            <button class="control-btn" data-player="repeat-btn" title="Repeat: off" aria-pressed="false">
+                <img src="${iconUrl('repeat')}" alt="repeat" width="18" height="18" />
+                <span class="repeat-badge" data-player="repeat-badge" hidden>all</span>
+            </button>
+        </div>
+        <div class="volume-control">
+            <input type="range" class="volume-slider" data-player="volume-slider"
+                min="0" max="100" value="70" aria-label="Volume" />
+            <span class="volume-display" data-player="volume-display">70</span>
+        </div>
+        <ul class="track-list" data-player="track-list" role="listbox" aria-label="Playlist"></ul>
+        <div class="player-toast" data-player="player-toast" role="status" aria-live="polite" hidden>
+            <span data-player="player-toast-text"></span>
+            <button class="toast-action" data-player="player-toast-action" hidden></button>
+        </div>
+        <div class="sr-only" data-player="player-announcer" aria-live="polite" aria-atomic="true"></div>`;
+    return ui;
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     // request notification permission for timer alerts (user-friendly)
     if ('Notification' in window && Notification.permission === 'default') {
@@ -525,14 +5220,10 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // initialize the complete music player system
-    const player = new RelaxationMusicPlayer();
-    
-    // optional: Add keyboard shortcuts for enhanced accessibility
-    document.addEventListener('keydown', (e) => {
-        if (e.code === 'Space' && !e.target.matches('input, button')) {
-            e.preventDefault();
-            player.togglePlayPause();
-        }
+    // the page's own player owns everything that is shared page- or browser-wide
+    const player = new RelaxationMusicPlayer(document, {
+        storageKey: STORAGE_KEY,
+        features: Object.fromEntries(Object.keys(PLAYER_FEATURES).map(feature => [feature, true]))
     });
 
     // back to top button functionality
@@ -555,8 +5246,8 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
-    // smooth scrolling for navigation links
-    document.querySelectorAll('.nav-link').forEach(link => {
+    // smooth scrolling for navigation links (the Keys button shares their class, not their href)
+    document.querySelectorAll('a.nav-link[href^="#"]').forEach(link => {
         link.addEventListener('click', (e) => {
             e.preventDefault();
             const targetId = link.getAttribute('href').substring(1);
@@ -0,0 +1,172 @@
+/*
+offline support:
+the app shell is precached under a versioned cache name and served
+stale-while-revalidate: the cached copy answers at once and the network
+copy replaces it for the next load, so a changed file reaches everyone
+even if nobody touches this worker. bumping SHELL_VERSION on a shell
+change still helps: the new worker installs next to the old one, the page
+offers a reload, and activation deletes every cache it doesn't know.
+music is cached on demand in its own cache, so an app update doesn't throw
+away tracks someone saved for the train. MUSIC_CACHE is shared with
+script.js, which downloads whole playlists into it.
+*/
+const SHELL_VERSION = 'v6';
+const SHELL_CACHE = `serenity-shell-${SHELL_VERSION}`;
+const MUSIC_CACHE = 'serenity-music-v1';
+const KNOWN_CACHES = [SHELL_CACHE, MUSIC_CACHE];
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './script.js',
+    './manifest.webmanifest',
+    './icon/app.svg',
+    './icon/next.svg',
+    './icon/pause.svg',
+    './icon/play.svg',
+    './icon/previous.svg',
+    './icon/repeat.svg',
+    './icon/shuffle.svg',
+    './icon/stop.svg',
+    './icon/volume.svg'
+];
+
+const MUSIC_PATH = new URL('./music/', self.location).pathname;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('serenity-') && !KNOWN_CACHES.includes(name))
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// the page asks a waiting worker to take over once the user agrees to reload
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith(MUSIC_PATH)) {
+        event.respondWith(musicResponse(request, event));
+    } else {
+        event.respondWith(shellResponse(request, event));
+    }
+});
+
+async function shellResponse(request, event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request);
+    if (cached) {
+        // only files already in the shell are refreshed, so the cache doesn't grow
+        event.waitUntil(network
+            .then(response => response.ok && cache.put(request, response))
+            .catch(() => {
+                // offline: the cached copy stays
+            }));
+        return cached;
+    }
+    try {
+        return await network;
+    } catch (error) {
+        // an unknown page while offline still gets the player
+        if (request.mode === 'navigate') {
+            return caches.match('./index.html');
+        }
+        throw error;
+    }
+}
+
+/*
+audio elements ask for byte ranges. a cached track answers them by slicing
+the stored file; a track that isn't cached yet streams from the network
+while a full copy is fetched in the background for next time.
+*/
+async function musicResponse(request, event) {
+    const cache = await caches.open(MUSIC_CACHE);
+    const cached = await cache.match(request.url);
+    const range = request.headers.get('range');
+
+    if (cached) {
+        return range ? rangeResponse(cached, range) : cached;
+    }
+    if (range) {
+        event.waitUntil(cacheTrack(cache, request.url));
+        return fetch(request);
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request.url, response.clone());
+        notifyCached(request.url);
+    }
+    return response;
+}
+
+// range requests come in bursts; each track is downloaded once at a time
+const trackDownloads = new Map();
+
+function cacheTrack(cache, url) {
+    if (!trackDownloads.has(url)) {
+        trackDownloads.set(url, downloadTrack(cache, url).finally(() => trackDownloads.delete(url)));
+    }
+    return trackDownloads.get(url);
+}
+
+async function downloadTrack(cache, url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return;
+        await cache.put(url, response);
+        notifyCached(url);
+    } catch (e) {
+        // still offline or the file is gone; the next play will try again
+    }
+}
+
+async function rangeResponse(response, range) {
+    const blob = await response.blob();
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    let start;
+    let end;
+    if (match[1] === '') {
+        // "bytes=-500" means the last 500 bytes
+        start = Math.max(0, blob.size - Number(match[2]));
+        end = blob.size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+    }
+    if (start >= blob.size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type || 'audio/mpeg',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+async function notifyCached(url) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'track-cached', url }));
+}
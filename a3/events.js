@@ -0,0 +1,373 @@
+/*
+day entries:
+notes and timed events planned on the calendar. an entry without a
+start time is an all-day note. a repeating entry is stored once, on the
+day it starts, and its later days are worked out from its rule.
+
+  { id, uid, date: "2026-05-04", title, note, start: "09:00" | null,
+    end: "10:30" | null, repeat: null | { freq: "weekly" | "monthly",
+    interval, byDay: [0-6] | null, until: "2026-12-31" | null, count,
+    except: ["2026-05-18"] | null } }
+*/
+const ENTRIES_KEY = "scroll-calendar-entries";
+const ENTRIES_VERSION = 1;
+const ICS_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function createId() {
+  return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+}
+
+function dateKey(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+function parseDateKey(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY = /^\d{2}:\d{2}$/;
+
+function loadEntries() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ENTRIES_KEY));
+    if (!saved || saved.version !== ENTRIES_VERSION || !Array.isArray(saved.entries)) {
+      return [];
+    }
+    return saved.entries.map(sanitizeEntry).filter(Boolean);
+  } catch (e) {
+    // unreadable data: the calendar starts empty instead of failing to load
+    console.warn("Could not read saved calendar entries:", e.message);
+    return [];
+  }
+}
+
+// stored entries are checked field by field: an entry without a day or a
+// title is dropped, anything else falls back to its default, and a rule is
+// only kept in a shape getOccurrences can walk to its end
+function sanitizeEntry(entry) {
+  if (!entry || typeof entry !== "object" || !DATE_KEY.test(entry.date) || typeof entry.title !== "string") {
+    return null;
+  }
+  const id = typeof entry.id === "string" && entry.id !== "" ? entry.id : createId();
+  const start = TIME_OF_DAY.test(entry.start) ? entry.start : null;
+  return {
+    id,
+    uid: typeof entry.uid === "string" && entry.uid !== "" ? entry.uid : `${id}@scroll-calendar`,
+    date: entry.date,
+    title: entry.title,
+    note: typeof entry.note === "string" ? entry.note : "",
+    start,
+    end: start && TIME_OF_DAY.test(entry.end) ? entry.end : null,
+    repeat: sanitizeRule(entry.repeat),
+  };
+}
+
+function sanitizeRule(rule) {
+  if (!rule || typeof rule !== "object" || (rule.freq !== "weekly" && rule.freq !== "monthly")) {
+    return null;
+  }
+  const byDay = Array.isArray(rule.byDay)
+    ? rule.byDay.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    : [];
+  return {
+    freq: rule.freq,
+    interval: Number.isInteger(rule.interval) && rule.interval >= 1 ? rule.interval : 1,
+    byDay: rule.freq === "weekly" && byDay.length ? [...new Set(byDay)] : null,
+    until: DATE_KEY.test(rule.until) ? rule.until : null,
+    count: Number.isInteger(rule.count) && rule.count > 0 ? rule.count : null,
+    except: Array.isArray(rule.except) ? rule.except.filter((key) => DATE_KEY.test(key)) : null,
+  };
+}
+
+function saveEntries(entries) {
+  try {
+    localStorage.setItem(ENTRIES_KEY, JSON.stringify({ version: ENTRIES_VERSION, entries }));
+  } catch (e) {
+    console.warn("Could not save calendar entries:", e.message);
+  }
+}
+
+/*
+recurrence:
+the days an entry falls on between two date keys, inclusive. weekly rules
+walk whole weeks from the one the entry starts in (weeks run Monday to
+Sunday, the iCalendar default); monthly rules skip months too short for
+the start day, as iCalendar does. count and until both end the series;
+excepted days still count towards it, they are only left out.
+*/
+function getOccurrences(entry, from, to) {
+  const rule = entry.repeat;
+  if (!rule) return entry.date >= from && entry.date <= to ? [entry.date] : [];
+
+  const start = parseDateKey(entry.date);
+  const interval = Math.max(1, rule.interval || 1);
+  const days = [];
+  let seen = 0;
+  // true once the series or the range is over
+  const visit = (date) => {
+    const key = dateKey(date);
+    if ((rule.until && key > rule.until) || (rule.count && seen >= rule.count) || key > to) {
+      return true;
+    }
+    seen++;
+    if (key >= from && !(rule.except && rule.except.includes(key))) days.push(key);
+    return false;
+  };
+
+  if (rule.freq === "weekly") {
+    const weekDays = rule.byDay && rule.byDay.length ? rule.byDay : [start.getDay()];
+    const week = new Date(start);
+    week.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    for (;;) {
+      for (let offset = 0; offset < 7; offset++) {
+        const date = new Date(week.getFullYear(), week.getMonth(), week.getDate() + offset);
+        if (date < start || !weekDays.includes(date.getDay())) continue;
+        if (visit(date)) return days;
+      }
+      week.setDate(week.getDate() + 7 * interval);
+    }
+  }
+
+  if (rule.freq === "monthly") {
+    for (let months = 0; ; months += interval) {
+      const date = new Date(start.getFullYear(), start.getMonth() + months, start.getDate());
+      if (date.getDate() !== start.getDate()) {
+        if (dateKey(date) > to) return days;
+        continue;
+      }
+      if (visit(date)) return days;
+    }
+  }
+
+  return entry.date >= from && entry.date <= to ? [entry.date] : [];
+}
+
+// every day of a year that has entries, with its entries in the order of the day
+function getEntriesByDate(entries, year) {
+  const byDate = new Map();
+  entries.forEach((entry) => {
+    getOccurrences(entry, `${year}-01-01`, `${year}-12-31`).forEach((key) => {
+      if (!byDate.has(key)) byDate.set(key, []);
+      byDate.get(key).push(entry);
+    });
+  });
+  byDate.forEach((list) => list.sort(compareEntries));
+  return byDate;
+}
+
+function getEntriesOn(entries, key) {
+  return entries.filter((entry) => getOccurrences(entry, key, key).length > 0).sort(compareEntries);
+}
+
+// all-day notes first, then events by start time
+function compareEntries(a, b) {
+  return (a.start || "").localeCompare(b.start || "") || a.title.localeCompare(b.title);
+}
+
+/*
+icalendar:
+entries leave as VEVENTs with floating local times, so 09:00 stays 09:00
+wherever the file is opened. on import, UTC times are moved to local
+time and TZID times are taken as local; multi-day events keep their
+first day. DAILY and YEARLY rules are mapped onto weekly and monthly
+ones where they fit; anything else imports as a single day and is
+counted. EXDATEs leave days out of a series, but single occurrences moved
+or changed in another app (RECURRENCE-ID) are skipped and counted, so the
+series shows them as first planned.
+*/
+function escapeIcsText(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeIcsText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+// content lines are folded at 75 octets, never inside a character
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsDate(key) {
+  return key.replace(/-/g, "");
+}
+
+function icsDateTime(key, time) {
+  return `${icsDate(key)}T${time.replace(":", "")}00`;
+}
+
+// UNTIL takes the same form as DTSTART, so timed series end with the last minute of their day
+function toIcsRule(rule, timed) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay && rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map((day) => ICS_DAYS[day]).join(",")}`);
+  }
+  if (rule.until) parts.push(`UNTIL=${timed ? icsDateTime(rule.until, "23:59") : icsDate(rule.until)}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(";");
+}
+
+function exportIcs(entries) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//a3//Scroll Calendar//EN", "CALSCALE:GREGORIAN"];
+  entries.forEach((entry) => {
+    lines.push("BEGIN:VEVENT", `UID:${entry.uid}`, `DTSTAMP:${stamp}`);
+    if (entry.start) {
+      lines.push(`DTSTART:${icsDateTime(entry.date, entry.start)}`);
+      if (entry.end) lines.push(`DTEND:${icsDateTime(entry.date, entry.end)}`);
+    } else {
+      const next = parseDateKey(entry.date);
+      next.setDate(next.getDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(entry.date)}`, `DTEND;VALUE=DATE:${icsDate(dateKey(next))}`);
+    }
+    lines.push(`SUMMARY:${escapeIcsText(entry.title)}`);
+    if (entry.note) lines.push(`DESCRIPTION:${escapeIcsText(entry.note)}`);
+    if (entry.repeat) lines.push(`RRULE:${toIcsRule(entry.repeat, Boolean(entry.start))}`);
+    if (entry.repeat && entry.repeat.except && entry.repeat.except.length) {
+      // EXDATE takes the same form as DTSTART
+      lines.push(
+        entry.start
+          ? `EXDATE:${entry.repeat.except.map((key) => icsDateTime(key, entry.start)).join(",")}`
+          : `EXDATE;VALUE=DATE:${entry.repeat.except.map(icsDate).join(",")}`
+      );
+    }
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// a DATE or DATE-TIME value as a local date key and, for times, "HH:MM"
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) return { date: `${year}-${month}-${day}`, time: null };
+  const date = utc
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+  const time = `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+  return { date: dateKey(date), time };
+}
+
+function parseIcsRule(value) {
+  const parts = Object.fromEntries(
+    value.split(";").map((part) => part.split("=")).map(([name, rest]) => [name.toUpperCase(), rest || ""])
+  );
+  let freq = (parts.FREQ || "").toLowerCase();
+  let interval = Math.max(1, parseInt(parts.INTERVAL, 10) || 1);
+  let byDay = parts.BYDAY
+    ? parts.BYDAY.split(",")
+        .map((day) => ICS_DAYS.indexOf(day.replace(/^[+-]?\d+/, "")))
+        .filter((day) => day !== -1)
+    : null;
+
+  if (freq === "daily" && interval === 1) {
+    freq = "weekly";
+    byDay = byDay && byDay.length ? byDay : [0, 1, 2, 3, 4, 5, 6];
+  } else if (freq === "yearly" && !parts.BYMONTH) {
+    freq = "monthly";
+    interval *= 12;
+  }
+  if (freq !== "weekly" && freq !== "monthly") return null;
+  // monthly rules by weekday ("the second Tuesday") are beyond the basics kept here
+  if (freq === "monthly" && parts.BYDAY) return null;
+
+  const until = parts.UNTIL ? parseIcsDate(parts.UNTIL) : null;
+  return {
+    freq,
+    interval,
+    byDay: freq === "weekly" && byDay && byDay.length ? byDay : null,
+    until: until ? until.date : null,
+    count: parseInt(parts.COUNT, 10) || null,
+    except: null,
+  };
+}
+
+// the entries found, how many changed occurrences were skipped, and how
+// many events kept only their first day because their rule isn't supported
+function parseIcs(text) {
+  // unfold continuation lines before reading properties
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const entries = [];
+  let skipped = 0;
+  let singleDay = 0;
+  let event = null;
+
+  lines.forEach((line) => {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+      return;
+    }
+    if (line === "END:VEVENT") {
+      if (event && event["RECURRENCE-ID"]) {
+        skipped++;
+      } else if (event && event.DTSTART) {
+        entries.push(toEntry(event));
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    const match = /^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+    if (!match) return;
+    const name = match[1].toUpperCase();
+    // EXDATE may come several times, each with a list of dates
+    if (name === "EXDATE") {
+      event.EXDATE = event.EXDATE ? `${event.EXDATE},${match[3]}` : match[3];
+    } else if (!(name in event)) {
+      event[name] = match[3];
+    }
+  });
+
+  function toEntry(event) {
+    const start = parseIcsDate(event.DTSTART);
+    if (!start) return null;
+    const end = event.DTEND ? parseIcsDate(event.DTEND) : null;
+    const repeat = event.RRULE ? parseIcsRule(event.RRULE) : null;
+    if (event.RRULE && !repeat) singleDay++;
+    if (repeat && event.EXDATE) {
+      const except = event.EXDATE.split(",").map(parseIcsDate).filter(Boolean).map((day) => day.date);
+      repeat.except = [...new Set(except)];
+    }
+    const id = createId();
+    return {
+      id,
+      uid: event.UID || `${id}@scroll-calendar`,
+      date: start.date,
+      title: unescapeIcsText(event.SUMMARY || "").trim() || "Untitled",
+      note: unescapeIcsText(event.DESCRIPTION || "").trim(),
+      start: start.time,
+      end: start.time && end && end.date === start.date ? end.time : null,
+      repeat,
+    };
+  }
+
+  return { entries: entries.filter(Boolean), skipped, singleDay };
+}
@@ -0,0 +1,757 @@
+/*
+locale:
+month and weekday names, and the week and today labels, come from Intl
+for the chosen locale, the page language by default. the week starts on the locale's first day unless
+the user picks one; both choices and the week numbers are saved.
+*/
+const SETTINGS_KEY = "scroll-calendar-settings";
+const LOCALES = ["en-US", "en-GB", "ko-KR", "ja-JP", "de-DE", "fr-FR", "es-ES"];
+
+// each setting is checked on its own, so one bad value falls back to its default alone
+function loadSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+  } catch (e) {
+    console.warn("Could not read calendar settings:", e.message);
+  }
+  saved = saved && typeof saved === "object" ? saved : {};
+  const weekStart = saved.weekStart;
+  return {
+    locale: LOCALES.includes(saved.locale) ? saved.locale : null,
+    weekStart: Number.isInteger(weekStart) && weekStart >= 0 && weekStart <= 6 ? weekStart : null,
+    weekNumbers: saved.weekNumbers === true,
+  };
+}
+
+function saveSettings() {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Could not save calendar settings:", e.message);
+  }
+}
+
+function getPageLocale() {
+  const lang = document.documentElement.lang || navigator.language;
+  try {
+    return Intl.getCanonicalLocales(lang)[0];
+  } catch (e) {
+    return "en-US";
+  }
+}
+
+// the locale's own first day of the week, where the browser knows it; Monday otherwise
+function getLocaleWeekStart(locale) {
+  try {
+    const info = new Intl.Locale(locale);
+    const weekInfo = info.getWeekInfo ? info.getWeekInfo() : info.weekInfo;
+    if (weekInfo) return weekInfo.firstDay % 7;
+  } catch (e) {
+    // older browsers without week info
+  }
+  return 1;
+}
+
+let settings = loadSettings();
+let locale = "en-US";
+let weekStart = 0;
+let monthNames = [];
+let shortMonthNames = [];
+// Sunday first, like Date#getDay
+let dayNames = [];
+// made once per locale, since every day cell's label goes through it
+let longDateFormat = null;
+// "week" in full and as the column heading, and "today", in the chosen locale
+let weekName = "Week";
+let weekHeading = "Wk";
+let todayName = "Today";
+
+function applySettings() {
+  locale = settings.locale || getPageLocale();
+  weekStart = settings.weekStart ?? getLocaleWeekStart(locale);
+  const months = (options) => {
+    const format = new Intl.DateTimeFormat(locale, options);
+    return Array.from({ length: 12 }, (_, month) => format.format(new Date(2026, month, 1)));
+  };
+  monthNames = months({ month: "long" });
+  shortMonthNames = months({ month: "short" });
+  const weekday = new Intl.DateTimeFormat(locale, { weekday: "short" });
+  // 4 January 2026 is a Sunday
+  dayNames = Array.from({ length: 7 }, (_, day) => weekday.format(new Date(2026, 0, 4 + day)));
+  longDateFormat = new Intl.DateTimeFormat(locale, {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+  try {
+    weekName = new Intl.DisplayNames(locale, { type: "dateTimeField" }).of("weekOfYear");
+    weekHeading = new Intl.DisplayNames(locale, { type: "dateTimeField", style: "narrow" }).of("weekOfYear");
+  } catch (e) {
+    // browsers without date field names keep the English ones
+    weekName = "Week";
+    weekHeading = "Wk";
+  }
+  const today = new Intl.RelativeTimeFormat(locale, { numeric: "auto" }).format(0, "day");
+  todayName = today.charAt(0).toLocaleUpperCase(locale) + today.slice(1);
+}
+
+// locales are listed in their own language, week starts in the chosen one
+function renderSettings() {
+  const pageLocale = getPageLocale();
+  const ownName = (code) => {
+    try {
+      return new Intl.DisplayNames([code], { type: "language" }).of(code);
+    } catch (e) {
+      return code;
+    }
+  };
+  localeSelect.replaceChildren(
+    new Option(`Page language (${ownName(pageLocale)})`, ""),
+    ...LOCALES.map((code) => new Option(ownName(code), code))
+  );
+  localeSelect.value = settings.locale || "";
+
+  const weekday = new Intl.DateTimeFormat(locale, { weekday: "long" });
+  weekStartSelect.replaceChildren(
+    new Option(`Locale default (${dayNames[getLocaleWeekStart(locale)]})`, ""),
+    ...[1, 0, 6].map((day) => new Option(weekday.format(new Date(2026, 0, 4 + day)), day))
+  );
+  weekStartSelect.value = settings.weekStart ?? "";
+  weekNumbersToggle.checked = settings.weekNumbers;
+}
+
+// the cards are rebuilt in place; the scroll position keeps the same month in front
+function changeSettings(changes) {
+  Object.assign(settings, changes);
+  saveSettings();
+  applySettings();
+  renderSettings();
+  renderYear(currentYear);
+  updateCalendar();
+}
+
+// the ISO 8601 week of a date: weeks start on Monday and week 1 holds the first Thursday
+function getIsoWeek(date) {
+  const mondayOffset = (day) => (day + 6) % 7;
+  // the Thursday of a week decides which year the week belongs to
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - mondayOffset(date.getDay()));
+  const january4 = new Date(thursday.getFullYear(), 0, 4);
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4 + 3 - mondayOffset(january4.getDay()));
+  // rounded, since a daylight saving change makes one day 23 or 25 hours
+  return 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+}
+
+const viewport = document.getElementById("viewport");
+const entryCounts = document.getElementById("entryCounts");
+const progressBar = document.getElementById("progressBar");
+const yearLabel = document.getElementById("yearLabel");
+const prevYearLink = document.getElementById("prevYear");
+const nextYearLink = document.getElementById("nextYear");
+const todayLink = document.getElementById("todayLink");
+const monthJump = document.getElementById("monthJump");
+const exportButton = document.getElementById("exportIcs");
+const importButton = document.getElementById("importIcsButton");
+const importInput = document.getElementById("importIcs");
+const calendarStatus = document.getElementById("calendarStatus");
+const dayDialog = document.getElementById("dayDialog");
+const dayDialogTitle = document.getElementById("dayDialogTitle");
+const dayDialogClose = document.getElementById("dayDialogClose");
+const entryList = document.getElementById("entryList");
+const entryForm = document.getElementById("entryForm");
+const entrySave = document.getElementById("entrySave");
+const entryReset = document.getElementById("entryReset");
+const localeSelect = document.getElementById("localeSelect");
+const weekStartSelect = document.getElementById("weekStartSelect");
+const weekNumbersToggle = document.getElementById("weekNumbersToggle");
+const monthCards = [];
+
+let entries = loadEntries();
+// the days of the shown year that have entries
+let entriesByDate = new Map();
+// the day open in the dialog
+let dialogDate = null;
+
+let currentYear = new Date().getFullYear();
+let frontMonth = -1;
+// where the last keyboard or link move is heading, while it is still scrolling
+let heading = null;
+
+// deep links look like #2026-05; a bare #2026 opens that year's January.
+// years stay four digits, which also keeps Date from reading 0-99 as 1900-1999
+const MIN_YEAR = 1000;
+const MAX_YEAR = 9999;
+
+function monthKey(year, month) {
+  return `${year}-${String(month + 1).padStart(2, "0")}`;
+}
+
+function parseMonthKey(hash) {
+  const match = /^#(\d{4})(?:-(\d{2}))?$/.exec(hash);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : 0;
+  if (year < MIN_YEAR || month < 0 || month > 11) return null;
+  return { year, month };
+}
+
+function createMonthCard(year, month, today) {
+  const card = document.createElement("div");
+  card.className = "month-card";
+  card.lang = locale;
+
+  const title = document.createElement("div");
+  title.className = "month-name";
+  title.textContent = monthNames[month];
+  card.appendChild(title);
+
+  const yearLine = document.createElement("div");
+  yearLine.className = "year";
+  yearLine.textContent = year;
+  card.appendChild(yearLine);
+
+  const calendar = document.createElement("div");
+  calendar.className = "calendar";
+  calendar.classList.toggle("with-week-numbers", settings.weekNumbers);
+
+  if (settings.weekNumbers) {
+    const corner = document.createElement("div");
+    corner.className = "day-name week-number";
+    corner.textContent = weekHeading;
+    corner.title = `${weekName} (ISO 8601)`;
+    calendar.appendChild(corner);
+  }
+
+  for (let i = 0; i < 7; i++) {
+    const dayName = document.createElement("div");
+    dayName.className = "day-name";
+    dayName.textContent = dayNames[(weekStart + i) % 7];
+    calendar.appendChild(dayName);
+  }
+
+  const firstDay = (new Date(year, month, 1).getDay() - weekStart + 7) % 7;
+
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  for (let cell = 0; cell < firstDay + daysInMonth; cell++) {
+    const day = cell - firstDay + 1;
+
+    // each row opens with the ISO week of its Monday
+    if (settings.weekNumbers && cell % 7 === 0) {
+      const week = getIsoWeek(new Date(year, month, day + ((8 - weekStart) % 7)));
+      const weekCell = document.createElement("div");
+      weekCell.className = "week-number";
+      weekCell.textContent = week;
+      weekCell.setAttribute("aria-label", `${weekName} ${week}`);
+      calendar.appendChild(weekCell);
+    }
+
+    if (day < 1) {
+      const emptyDay = document.createElement("div");
+      emptyDay.className = "day empty";
+      calendar.appendChild(emptyDay);
+      continue;
+    }
+
+    const dayCell = document.createElement("button");
+    dayCell.type = "button";
+    dayCell.className = "day";
+    dayCell.textContent = day;
+    dayCell.dataset.date = dateKey(new Date(year, month, day));
+    markDay(dayCell);
+    if (
+      year === today.getFullYear() &&
+      month === today.getMonth() &&
+      day === today.getDate()
+    ) {
+      dayCell.classList.add("today");
+      dayCell.setAttribute("aria-current", "date");
+    }
+    calendar.appendChild(dayCell);
+  }
+
+  card.appendChild(calendar);
+  return card;
+}
+
+function renderYear(year) {
+  const today = new Date();
+  currentYear = year;
+  frontMonth = -1;
+  entriesByDate = getEntriesByDate(entries, year);
+  monthCards.length = 0;
+  viewport.replaceChildren();
+
+  for (let month = 0; month < 12; month++) {
+    const card = createMonthCard(year, month, today);
+    viewport.appendChild(card);
+    monthCards.push(card);
+  }
+
+  yearLabel.textContent = year;
+  prevYearLink.href = `#${monthKey(year - 1, 11)}`;
+  prevYearLink.setAttribute("aria-label", formatMonth(year - 1, 11));
+  nextYearLink.href = `#${monthKey(year + 1, 0)}`;
+  nextYearLink.setAttribute("aria-label", formatMonth(year + 1, 0));
+  todayLink.href = `#${monthKey(today.getFullYear(), today.getMonth())}`;
+  todayLink.lang = locale;
+  todayLink.textContent = todayName;
+
+  monthJump.lang = locale;
+  monthJump.replaceChildren(
+    ...shortMonthNames.map((name, month) => {
+      const link = document.createElement("a");
+      link.href = `#${monthKey(year, month)}`;
+      link.textContent = name;
+      link.setAttribute("aria-label", formatMonth(year, month));
+      return link;
+    })
+  );
+}
+
+function formatMonth(year, month) {
+  return new Date(year, month, 1).toLocaleDateString(locale, { month: "long", year: "numeric" });
+}
+
+function formatLongDate(key) {
+  return longDateFormat.format(parseDateKey(key));
+}
+
+// a dot on days with entries, and their titles for hover and screen readers
+function markDay(cell) {
+  const dayEntries = entriesByDate.get(cell.dataset.date) || [];
+  cell.classList.toggle("has-entries", dayEntries.length > 0);
+  cell.title = dayEntries.map((entry) => entry.title).join("\n");
+  const count = dayEntries.length;
+  cell.setAttribute("aria-label", formatLongDate(cell.dataset.date));
+  if (count) {
+    cell.setAttribute("aria-describedby", getEntryCountId(count));
+  } else {
+    cell.removeAttribute("aria-describedby");
+  }
+}
+
+// the count is English like the rest of the page's own text, so it can't go
+// into the label of a cell in the calendar's locale; cells share one per count
+function getEntryCountId(count) {
+  const id = `entryCount${count}`;
+  if (!document.getElementById(id)) {
+    const description = document.createElement("span");
+    description.id = id;
+    description.textContent = `${count} ${count === 1 ? "entry" : "entries"}`;
+    entryCounts.appendChild(description);
+  }
+  return id;
+}
+
+function refreshMarkers() {
+  entriesByDate = getEntriesByDate(entries, currentYear);
+  viewport.querySelectorAll(".day[data-date]").forEach(markDay);
+}
+
+function getScrollPercent() {
+  const scrollable = document.body.scrollHeight - window.innerHeight;
+  return scrollable > 0 ? window.scrollY / scrollable : 0;
+}
+
+function scrollToMonth(month, smooth) {
+  const scrollable = document.body.scrollHeight - window.innerHeight;
+  window.scrollTo({
+    top: (month / 11) * scrollable,
+    behavior: smooth ? "smooth" : "auto",
+  });
+}
+
+/*
+moving between months:
+a different year is built first and entered from the side it is
+approached from, so the cards still fly past on the way to the target.
+*/
+function goToMonth(year, month, smooth = true) {
+  if (year < MIN_YEAR || year > MAX_YEAR) return;
+  if (year !== currentYear) {
+    const forward = year > currentYear;
+    renderYear(year);
+    scrollToMonth(forward ? 0 : 11, false);
+  }
+  heading = { month, at: Date.now() };
+  scrollToMonth(month, smooth);
+  updateCalendar();
+}
+
+function moveBy(months) {
+  // during a smooth scroll the page is still between cards, so quick
+  // repeated presses count from where the last one was heading
+  const month =
+    heading && Date.now() - heading.at < 1000
+      ? heading.month
+      : Math.round(getScrollPercent() * 11);
+  const target = new Date(currentYear, month + months, 1);
+  goToMonth(target.getFullYear(), target.getMonth());
+}
+
+function updateCalendar() {
+  const scrollPercent = getScrollPercent();
+
+  progressBar.style.width = scrollPercent * 100 + "%";
+
+  const currentPosition = scrollPercent * 11;
+
+  for (let i = 0; i < 12; i++) {
+    const card = monthCards[i];
+
+    const distance = i - currentPosition;
+
+    const zPosition = -distance * 2500;
+
+    let scale;
+    if (distance > 0) {
+      scale = 1 - distance * 0.8;
+    } else {
+      scale = 1 - distance * 1.5;
+    }
+
+    let opacity;
+    if (distance > 0.3) {
+      opacity = 1 - distance * 2;
+    } else if (distance > -0.3) {
+      opacity = 1;
+    } else {
+      opacity = 0.3 - distance * 0.5;
+    }
+
+    card.style.transform = `
+                    translate(-50%, -50%)
+                    translateZ(${zPosition}px)
+                    scale(${scale})
+                `;
+    card.style.opacity = opacity;
+
+    if (distance > 1 || distance < -1.5) {
+      card.style.display = "none";
+    } else {
+      card.style.display = "block";
+    }
+
+    // only the card in front takes clicks and focus; the others show through it
+    card.inert = Math.abs(distance) > 0.5;
+  }
+
+  // the address follows the card in front, so it can be shared or reloaded
+  const month = Math.round(currentPosition);
+  if (month !== frontMonth) {
+    frontMonth = month;
+    history.replaceState(null, "", `#${monthKey(currentYear, month)}`);
+    Array.from(monthJump.children).forEach((link, index) => {
+      if (index === month) {
+        link.setAttribute("aria-current", "true");
+      } else {
+        link.removeAttribute("aria-current");
+      }
+    });
+  }
+}
+
+window.addEventListener("scroll", updateCalendar);
+
+// the month links and the year arrows only change the hash
+window.addEventListener("hashchange", () => {
+  const target = parseMonthKey(location.hash);
+  if (target) goToMonth(target.year, target.month);
+});
+
+// arrow keys step through months, page keys through years
+window.addEventListener("keydown", (e) => {
+  if (e.altKey || e.ctrlKey || e.metaKey || dayDialog.open) return;
+  if (e.target.closest("input, textarea, select")) return;
+  const steps = {
+    ArrowDown: 1,
+    ArrowRight: 1,
+    ArrowUp: -1,
+    ArrowLeft: -1,
+    PageDown: 12,
+    PageUp: -12,
+  };
+  if (!(e.key in steps)) return;
+  e.preventDefault();
+  moveBy(steps[e.key]);
+});
+
+/*
+day dialog:
+lists the entries on a day and adds or edits one at a time. a repeating
+entry is edited and deleted as a whole series, from any of its days.
+*/
+function openDay(key) {
+  dialogDate = key;
+  dayDialogTitle.lang = locale;
+  dayDialogTitle.textContent = formatLongDate(key);
+  renderEntryList();
+  resetEntryForm();
+  dayDialog.showModal();
+}
+
+// the sentence is English like the rest of the page's own text; only the end
+// date is written in the calendar's locale
+function describeRepeat(rule) {
+  const unit = rule.freq === "weekly" ? "week" : "month";
+  const every = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `${rule.freq}`;
+  if (!rule.until) return [`Repeats ${every}`];
+  const until = document.createElement("span");
+  until.lang = locale;
+  until.textContent = formatLongDate(rule.until);
+  return [`Repeats ${every} until `, until];
+}
+
+function renderEntryList() {
+  const dayEntries = getEntriesOn(entries, dialogDate);
+  entryList.replaceChildren(
+    ...dayEntries.map((entry) => {
+      const item = document.createElement("li");
+      item.className = "entry";
+
+      const time = document.createElement("span");
+      time.className = "entry-time";
+      time.textContent = entry.start ? [entry.start, entry.end].filter(Boolean).join("–") : "All day";
+      const title = document.createElement("strong");
+      title.textContent = entry.title;
+      item.append(time, title);
+
+      if (entry.note) {
+        const note = document.createElement("p");
+        note.className = "entry-note";
+        note.textContent = entry.note;
+        item.appendChild(note);
+      }
+      if (entry.repeat) {
+        const repeat = document.createElement("span");
+        repeat.className = "entry-repeat";
+        repeat.append(...describeRepeat(entry.repeat));
+        item.appendChild(repeat);
+      }
+
+      const edit = document.createElement("button");
+      edit.type = "button";
+      edit.dataset.action = "edit";
+      edit.dataset.id = entry.id;
+      edit.textContent = "Edit";
+      edit.setAttribute("aria-label", `Edit "${entry.title}"`);
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.dataset.action = "delete";
+      remove.dataset.id = entry.id;
+      remove.textContent = "Delete";
+      remove.setAttribute("aria-label", `Delete "${entry.title}"`);
+      item.append(edit, remove);
+      return item;
+    })
+  );
+  if (dayEntries.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "entry-empty";
+    empty.textContent = "Nothing planned yet.";
+    entryList.appendChild(empty);
+  }
+}
+
+function resetEntryForm() {
+  entryForm.reset();
+  entryForm.elements.entryId.value = "";
+  entrySave.textContent = "Add";
+  updateFieldLimits();
+}
+
+// an event ends on the day it starts, so never before its start time, and a
+// series can't end before its first day or it would show on none at all
+function updateFieldLimits() {
+  const fields = entryForm.elements;
+  const existing = entries.find((entry) => entry.id === fields.entryId.value);
+  fields.end.min = fields.start.value;
+  fields.until.min = existing ? existing.date : dialogDate;
+}
+
+function editEntry(id) {
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) return;
+  const fields = entryForm.elements;
+  fields.entryId.value = entry.id;
+  fields.title.value = entry.title;
+  fields.start.value = entry.start || "";
+  fields.end.value = entry.end || "";
+  fields.note.value = entry.note;
+  fields.repeat.value = entry.repeat ? entry.repeat.freq : "";
+  fields.until.value = entry.repeat && entry.repeat.until ? entry.repeat.until : "";
+  updateFieldLimits();
+  entrySave.textContent = "Save";
+  fields.title.focus();
+}
+
+function saveEntryForm() {
+  const fields = entryForm.elements;
+  const title = fields.title.value.trim();
+  if (title === "") return;
+  const existing = entries.find((entry) => entry.id === fields.entryId.value);
+  const start = fields.start.value || null;
+  const end = start ? fields.end.value || null : null;
+  if (end && end < start) {
+    fields.end.reportValidity();
+    return;
+  }
+  const freq = fields.repeat.value;
+  const until = freq ? fields.until.value || null : null;
+  if (until && until < (existing ? existing.date : dialogDate)) {
+    fields.until.reportValidity();
+    return;
+  }
+  // a rule keeps imported details such as its interval while its frequency is unchanged
+  const kept = existing && existing.repeat && existing.repeat.freq === freq ? existing.repeat : null;
+  const repeat = freq
+    ? {
+        freq,
+        interval: kept ? kept.interval : 1,
+        byDay: kept ? kept.byDay : null,
+        until,
+        count: kept ? kept.count : null,
+        except: kept ? kept.except : null,
+      }
+    : null;
+
+  const entry = existing || { id: createId(), date: dialogDate };
+  if (!existing) {
+    entry.uid = `${entry.id}@scroll-calendar`;
+    entries.push(entry);
+  }
+  Object.assign(entry, {
+    title,
+    note: fields.note.value.trim(),
+    start,
+    end,
+    repeat,
+  });
+
+  saveEntries(entries);
+  refreshMarkers();
+  renderEntryList();
+  resetEntryForm();
+  fields.title.focus();
+}
+
+function deleteEntry(id) {
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) return;
+  if (entry.repeat && !confirm(`"${entry.title}" repeats. Delete it from every day?`)) return;
+  entries = entries.filter((candidate) => candidate !== entry);
+  saveEntries(entries);
+  refreshMarkers();
+  renderEntryList();
+  resetEntryForm();
+  entryForm.elements.title.focus();
+}
+
+viewport.addEventListener("click", (e) => {
+  const day = e.target.closest(".day[data-date]");
+  if (day) openDay(day.dataset.date);
+});
+
+entryList.addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-action]");
+  if (!button) return;
+  if (button.dataset.action === "edit") {
+    editEntry(button.dataset.id);
+  } else {
+    deleteEntry(button.dataset.id);
+  }
+});
+
+entryForm.elements.start.addEventListener("input", updateFieldLimits);
+entryForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  saveEntryForm();
+});
+entryReset.addEventListener("click", () => {
+  resetEntryForm();
+  entryForm.elements.title.focus();
+});
+dayDialogClose.addEventListener("click", () => dayDialog.close());
+
+/*
+import and export:
+imported events replace the ones with the same UID, so importing the
+same file twice, or a file exported from here, does not duplicate them.
+*/
+function exportEntries() {
+  const blob = new Blob([exportIcs(entries)], { type: "text/calendar" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "scroll-calendar.ics";
+  link.click();
+  // some browsers start the download only after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  calendarStatus.textContent = `Exported ${entries.length} ${entries.length === 1 ? "entry" : "entries"}.`;
+}
+
+function importEntries(text) {
+  const { entries: imported, skipped, singleDay } = parseIcs(text);
+  if (imported.length === 0) {
+    calendarStatus.textContent = "No events found in that file.";
+    return;
+  }
+  const uids = new Set(imported.map((entry) => entry.uid));
+  entries = entries.filter((entry) => !uids.has(entry.uid)).concat(imported);
+  saveEntries(entries);
+  refreshMarkers();
+  const notes = [`Imported ${imported.length} ${imported.length === 1 ? "event" : "events"}.`];
+  if (skipped) {
+    notes.push(
+      `${skipped} changed ${skipped === 1 ? "occurrence was" : "occurrences were"} left out;` +
+        " those days show the series as first planned."
+    );
+  }
+  if (singleDay) {
+    notes.push(
+      `${singleDay} ${singleDay === 1 ? "event repeats" : "events repeat"} in a way not supported here` +
+        " and only shows on the first day."
+    );
+  }
+  calendarStatus.textContent = notes.join(" ");
+}
+
+localeSelect.addEventListener("change", () => changeSettings({ locale: localeSelect.value || null }));
+weekStartSelect.addEventListener("change", () =>
+  changeSettings({ weekStart: weekStartSelect.value === "" ? null : Number(weekStartSelect.value) })
+);
+weekNumbersToggle.addEventListener("change", () => changeSettings({ weekNumbers: weekNumbersToggle.checked }));
+
+exportButton.addEventListener("click", exportEntries);
+// the file input stays hidden; the button keeps the import reachable from the keyboard
+importButton.addEventListener("click", () => importInput.click());
+importInput.addEventListener("change", (e) => {
+  const file = e.target.files[0];
+  e.target.value = "";
+  if (!file) return;
+  file
+    .text()
+    .then(importEntries)
+    .catch((error) => {
+      calendarStatus.textContent = `Could not read that file: ${error.message}`;
+    });
+});
+
+// the hash decides where the page opens, not the old scroll position
+history.scrollRestoration = "manual";
+
+applySettings();
+renderSettings();
+
+const start = parseMonthKey(location.hash);
+if (start) {
+  renderYear(start.year);
+  scrollToMonth(start.month, false);
+} else {
+  const today = new Date();
+  renderYear(today.getFullYear());
+  scrollToMonth(today.getMonth(), false);
+}
+updateCalendar();